@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * DATABASE MIGRATIONS
+ *
+ * Applies pending schema migrations (the server also does this at startup)
+ * and imports state files from before everything lived in the database.
+ *
+ * Usage:
+ *   node migrate.js                      apply pending migrations, show status
+ *   node migrate.js --import [dir...]    also import legacy JSON/JSONL state files
+ *                                        (default: data/ and the working directory)
+ *
+ * DATABASE_URL / DB_PATH pick the database, as for the server.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dirs = args.filter(a => !a.startsWith('--'));
+
+const { initDb, migrationStatus } = await import('./src/db.js');
+const { importLegacyFiles } = await import('./src/legacy-import.js');
+
+await initDb();
+
+console.log('');
+console.log('Migrations:');
+for (const migration of await migrationStatus()) {
+  console.log(`  ${String(migration.version).padStart(3)}  ${migration.name.padEnd(20)} ${migration.applied_at || 'pending'}`);
+}
+
+if (args.includes('--import')) {
+  console.log('');
+  console.log('Legacy files:');
+  const results = await importLegacyFiles(dirs.length ? dirs : ['data', '.']);
+  for (const result of results) {
+    const outcome = result.skipped ? `skipped (${result.skipped})` : `${result.records} records from ${result.path}`;
+    console.log(`  ${result.file.padEnd(28)} ${outcome}`);
+  }
+}
+
+process.exit(0);
@@ -8,7 +8,14 @@
  */
 
 import { Analytics } from './src/analytics.js';
-import { getStats } from './src/db.js';
+import { initDb, getStats } from './src/db.js';
+import { createExperiments } from './src/experiments.js';
+import { createEngagementTracker } from './src/engagement.js';
+import { createCostLedger, PHASES } from './src/costs.js';
+
+const experiments = createExperiments({});
+const engagement = createEngagementTracker({});
+const costs = createCostLedger();
 
 function printBanner() {
   console.clear();
@@ -50,15 +57,84 @@ function formatTopAuthors(authors) {
   console.log('');
 }
 
-function formatCostProjection(dailyStats) {
-  const matches = dailyStats.cost.match(/\$(.+)/);
-  const dailyCost = parseFloat(matches?.[1] || '0');
+const usd = (n, places = 2) => (n === null ? '-' : `$${n.toFixed(places)}`);
+
+/**
+ * Measured spend (costs.js): today against the budget, per mention by phase,
+ * and projections from the recent daily average
+ */
+function formatCostProjection(report) {
+  const { today, recent, projection } = report;
+
+  console.log('💰 COSTS');
+  console.log(`   Today:              ${usd(today.spent)}${today.budget === null ? '' : ` of ${usd(today.budget)} budget`}`);
+  console.log(`   Per mention (${recent.days}d):   ${usd(recent.per_mention, 4)}  (${recent.mentions} mentions)`);
+  console.log(`   Per reply (${recent.days}d):     ${usd(recent.per_reply, 4)}  (${recent.replies} replies)`);
+  for (const phase of PHASES) {
+    const spent = recent.by_phase[phase];
+    if (!spent) continue;
+    const perMention = recent.mentions > 0 ? spent.cost / recent.mentions : 0;
+    console.log(`     ${phase.padEnd(12)} ${usd(perMention, 4)}/mention  ${spent.input_tokens + spent.output_tokens} tokens, ${spent.twitter_calls} Twitter calls`);
+  }
+  console.log('');
+
+  console.log('📈 COST PROJECTION');
+  console.log(`   Daily (avg):        ${usd(projection.daily)}`);
+  console.log(`   Weekly:             ${usd(projection.weekly)}`);
+  console.log(`   Monthly:            ${usd(projection.monthly)}`);
+  console.log(`   Yearly:             ${usd(projection.yearly)}`);
+  if (today.budget) {
+    console.log(`   Budget/month:       ${usd(today.budget * 30)} (${usd(today.budget)}/day cutoff)`);
+  }
+  console.log('');
+}
 
-  console.log('💰 COST PROJECTION');
-  console.log(`   Today:              ${dailyStats.cost}`);
-  console.log(`   Weekly:             $${(dailyCost * 7).toFixed(2)}`);
-  console.log(`   Monthly:            $${(dailyCost * 30).toFixed(2)}`);
-  console.log(`   Yearly:             $${(dailyCost * 365).toFixed(2)}`);
+function formatExperiments(results) {
+  if (results.length === 0) return;
+
+  console.log('🧪 EXPERIMENTS');
+  for (const experiment of results) {
+    console.log(`   ${experiment.id}${experiment.enabled ? ' (running)' : ''}`);
+    for (const variant of experiment.variants) {
+      const mean = variant.mean === null ? '-' : variant.mean.toFixed(2);
+      let line = `     ${variant.name.padEnd(10)} n=${String(variant.n).padEnd(5)} mean engagement ${mean}`;
+      if (variant.vs_control) {
+        const { lift, p_value: p, significant } = variant.vs_control;
+        const liftText = lift === null ? '' : ` ${lift >= 0 ? '+' : ''}${(lift * 100).toFixed(0)}%`;
+        line += `  vs ${experiment.control}:${liftText} p=${p.toFixed(3)}${significant ? ' ✓ significant' : ''}`;
+      }
+      console.log(line);
+    }
+  }
+  console.log('');
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max)}...` : text;
+}
+
+function formatReplies(title, replies) {
+  if (replies.length === 0) return;
+
+  console.log(title);
+  replies.forEach((reply, idx) => {
+    console.log(`   ${idx + 1}. ${String(reply.engagement).padStart(4)}  ${reply.like_count}♥ ${reply.reply_count}💬 ${reply.retweet_count}🔁 ${reply.quote_count}❝  "${truncate(reply.reply_text, 50)}"`);
+  });
+  console.log('');
+}
+
+function formatReplyEngagement(report) {
+  formatReplies(`🏆 TOP REPLIES (${report.window_hours}h)`, report.top);
+  formatReplies(`📉 BOTTOM REPLIES (${report.window_hours}h)`, report.bottom);
+
+  if (report.flagged.length === 0) return;
+  console.log('🚩 FLAGGED REPLIES');
+  for (const reply of report.flagged) {
+    const flag = reply.status !== 'live'
+      ? `${reply.status}${reply.status_reason ? ` (${reply.status_reason})` : ''}`
+      : `${reply.negative_quotes} negative quote${reply.negative_quotes === 1 ? '' : 's'}`;
+    console.log(`   ${reply.reply_id}  ${flag}  "${truncate(reply.reply_text, 40)}"`);
+  }
   console.log('');
 }
 
@@ -70,17 +146,22 @@ async function display() {
     console.log('');
 
     // Get all stats
-    const dailyStats = Analytics.getDailyStats();
-    const weeklyStats = Analytics.getWeeklyStats();
+    const dailyStats = await Analytics.getDailyStats();
+    const weeklyStats = await Analytics.getWeeklyStats();
     const dbStats = await getStats();
-    const topAuthors = Analytics.getTopAuthors(5);
+    const topAuthors = await Analytics.getTopAuthors(5);
+    const experimentResults = await experiments.results();
+    const replyEngagement = await engagement.report();
+    const costReport = await costs.report();
 
     // Format output
     formatStats(dailyStats, '24h STATS');
     formatStats(weeklyStats, '7d STATS');
     formatDatabase(dbStats);
     formatTopAuthors(topAuthors);
-    formatCostProjection(dailyStats);
+    formatReplyEngagement(replyEngagement);
+    formatExperiments(experimentResults);
+    formatCostProjection(costReport);
 
     console.log('🔄 Refreshing in 30 seconds...');
     console.log('Press Ctrl+C to exit');
@@ -90,6 +171,8 @@ async function display() {
   }
 }
 
+await initDb();
+
 // Initial display
 display();
 
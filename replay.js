@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * OFFLINE REPLAY HARNESS
+ *
+ * Replays recorded mentions through the pipeline with fixture Twitter/Brave/Anthropic
+ * responses - no network, no posting.
+ *
+ * Usage:
+ *   node replay.js                          replay every fixture in fixtures/replay
+ *   node replay.js <name> [<name>...]       replay selected fixtures
+ *   node replay.js --update [<name>...]     accept the current output as expected
+ *   node replay.js --record <tweet_id> <name>
+ *                                           record a live mention as a new fixture
+ *                                           (uses .env credentials, never posts)
+ *   --verbose                               show pipeline logs
+ */
+
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Moderation decisions are written to the database - keep replays off the real one
+delete process.env.DATABASE_URL;
+process.env.DB_PATH = ':memory:';
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(a => a.startsWith('--')));
+const names = args.filter(a => !a.startsWith('--'));
+
+const { initDb } = await import('./src/db.js');
+const { createPipeline, AUTHOR_FIELDS } = await import('./src/pipeline.js');
+const { replayFixture, recordFixture, loadFixtures, saveFixture, FIXTURE_DIR } = await import('./src/replay.js');
+
+/**
+ * Pipeline logs are noise in a pass/fail run - only show them with --verbose
+ */
+async function quietly(fn) {
+  if (flags.has('--verbose')) return fn();
+
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+async function record(tweetId, name) {
+  if (!tweetId || !name) {
+    console.error('Usage: node replay.js --record <tweet_id> <name>');
+    process.exit(1);
+  }
+
+  const { TwitterApi } = await import('twitter-api-v2');
+  const { Anthropic } = await import('@anthropic-ai/sdk');
+
+  const v2Client = new TwitterApi({
+    appKey: process.env.TWITTER_API_KEY,
+    appSecret: process.env.TWITTER_API_SECRET,
+    accessToken: process.env.TWITTER_ACCESS_TOKEN,
+    accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+  }).v2;
+  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+  const lookup = await v2Client.get(`tweets/${tweetId}`, {
+    'tweet.fields': 'author_id,conversation_id,created_at,in_reply_to_user_id',
+    expansions: 'author_id',
+    'user.fields': AUTHOR_FIELDS
+  });
+  const mention = { tweet: lookup.data, author: lookup.includes?.users?.[0] || null };
+
+  const fixture = await quietly(() => recordFixture(name, mention, { v2Client, anthropic, fetch: globalThis.fetch }, { createPipeline }));
+  const file = path.join(FIXTURE_DIR, `${name}.json`);
+  saveFixture(file, fixture);
+
+  console.log(`✓ Recorded ${tweetId} → ${path.relative(process.cwd(), file)}`);
+  console.log(`  ${fixture.twitter.length} Twitter calls, ${fixture.web.length} web fetches, ${fixture.anthropic.length} Anthropic calls`);
+  console.log(`  Reply: "${fixture.expected.reply}"`);
+}
+
+async function replay() {
+  const fixtures = loadFixtures(FIXTURE_DIR, names);
+  if (fixtures.length === 0) {
+    console.error(`No fixtures found${names.length ? ` named ${names.join(', ')}` : ''} in ${FIXTURE_DIR}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const { file, fixture } of fixtures) {
+    const result = await quietly(() => replayFixture(fixture, { createPipeline }));
+
+    if (flags.has('--update') && !result.error && result.unmatched.length === 0) {
+      saveFixture(file, { ...fixture, expected: result.summary });
+      console.log(`↻ ${fixture.name} (expected updated)`);
+      continue;
+    }
+
+    if (result.passed) {
+      console.log(`✓ ${fixture.name}`);
+      continue;
+    }
+
+    failed++;
+    console.log(`✗ ${fixture.name}`);
+    if (result.error) console.log(`    error: ${result.error}`);
+    if (!fixture.expected && !result.error) console.log('    no expected result - run with --update');
+    result.unmatched.forEach(call => console.log(`    unmatched: ${call}`));
+    result.diff.forEach(line => console.log(`    ${line}`));
+  }
+
+  console.log('');
+  console.log(`${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+  return failed;
+}
+
+await quietly(initDb);
+
+if (flags.has('--record')) {
+  await record(names[0], names[1]);
+  process.exit(0);
+}
+
+process.exit((await replay()) > 0 ? 1 : 0);
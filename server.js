@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+/**
+ * GRAISONBOT MENTION SERVER
+ *
+ * One research → compose → post pipeline, pluggable ingestion:
+ *   MENTION_SOURCE=polling   tweets/search/recent every 30s (default)
+ *   MENTION_SOURCE=stream    Filtered Stream (run setup-stream-rules.js once)
+ *   MENTION_SOURCE=webhook   Account Activity webhook (run register-webhook.js once)
+ *
+ * Sources can be combined: MENTION_SOURCE=stream,webhook
+ */
+
+import { startServer } from './src/server.js';
+
+startServer();
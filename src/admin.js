@@ -0,0 +1,401 @@
+/**
+ * Admin API
+ * Operator routes mounted under /admin, guarded by ADMIN_TOKEN
+ * (send it as "Authorization: Bearer <token>")
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { listPolicyDecisions, listModerationDecisions, listConversationTurns } from './db.js';
+import { loadAuthorProfile, editAuthorProfile, forgetAuthor } from './stages/stage2-conversation-memory.js';
+import { CACHE_KINDS } from './research-cache.js';
+
+const isStringList = value => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim());
+
+/**
+ * ?limit= as a whole number up to max - missing, zero or not a number gets the default
+ */
+function queryLimit(req, fallback = 50, max = 500) {
+  const limit = parseInt(req.query.limit, 10);
+  return limit > 0 ? Math.min(limit, max) : fallback;
+}
+
+/**
+ * Error message for a bad profile edit, or null
+ */
+function profileEditError({ notes, hostile, topics, tickers }) {
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 1000)) {
+    return 'notes must be a string of at most 1000 characters (or null)';
+  }
+  if (hostile !== undefined && hostile !== null && typeof hostile !== 'boolean') {
+    return 'hostile must be true, false or null (use history)';
+  }
+  if (topics !== undefined && !isStringList(topics)) return 'topics must be a list of strings';
+  if (tickers !== undefined && !isStringList(tickers)) return 'tickers must be a list of strings';
+  return null;
+}
+
+export function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+export function createAdminRouter({ queue, policy, shadow, prompts, engagement, researchCache, quota, costs }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // ============================================
+  // JOB QUEUE
+  // ============================================
+
+  router.get('/jobs', async (req, res) => {
+    try {
+      const limit = queryLimit(req);
+      res.json({ jobs: await queue.list(req.query.state, limit) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/jobs/dead-letter', async (req, res) => {
+    try {
+      const limit = queryLimit(req);
+      res.json({ jobs: await queue.deadLetters(limit) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/jobs/:id/replay', async (req, res) => {
+    try {
+      const job = await queue.replay(parseInt(req.params.id, 10));
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json({ job });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // Moderation review - release (reply normally) or dismiss (never reply)
+  router.post('/jobs/:id/release', async (req, res) => {
+    try {
+      const job = await queue.release(parseInt(req.params.id, 10));
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json({ job });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  router.post('/jobs/:id/dismiss', async (req, res) => {
+    try {
+      const job = await queue.dismiss(parseInt(req.params.id, 10));
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      res.json({ job });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  router.get('/moderation', async (req, res) => {
+    try {
+      const limit = queryLimit(req);
+      res.json({ decisions: await listModerationDecisions({ label: req.query.label, limit }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // APPROVAL QUEUE
+  // ============================================
+
+  router.get('/drafts', async (req, res) => {
+    try {
+      const limit = queryLimit(req);
+      const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+      res.json({ mode: policy.approval().mode, drafts: await queue.drafts(status, limit) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/drafts/:id', async (req, res) => {
+    try {
+      const draft = await queue.getDraft(parseInt(req.params.id, 10));
+      if (!draft) return res.status(404).json({ error: 'Draft not found' });
+      res.json({ draft });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body (optional): { "text": "edited reply", "note": "..." }
+  router.post('/drafts/:id/approve', async (req, res) => {
+    try {
+      const text = req.body?.text;
+      if (text !== undefined && (typeof text !== 'string' || !text.trim() || text.length > 280)) {
+        return res.status(400).json({ error: 'text must be a non-empty string of at most 280 characters' });
+      }
+      const draft = await queue.approve(parseInt(req.params.id, 10), { text, note: req.body?.note });
+      if (!draft) return res.status(404).json({ error: 'Draft not found' });
+      res.json({ draft });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  router.post('/drafts/:id/reject', async (req, res) => {
+    try {
+      const draft = await queue.reject(parseInt(req.params.id, 10), { note: req.body?.note });
+      if (!draft) return res.status(404).json({ error: 'Draft not found' });
+      res.json({ draft });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // PROMPT TEMPLATES
+  // ============================================
+
+  router.get('/prompts', (req, res) => {
+    try {
+      res.json({ active: prompts.active(), templates: prompts.list(), persona: prompts.persona() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/prompts/:id', (req, res) => {
+    try {
+      res.json({ template: prompts.template(req.params.id) });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Hot-swap the reply template. Body: { "template": "reply.v1" }
+  router.post('/prompts/active', (req, res) => {
+    const templateId = req.body?.template;
+    if (typeof templateId !== 'string' || !/^[\w.-]+$/.test(templateId)) {
+      return res.status(400).json({ error: 'template must be a template id like "reply.v2"' });
+    }
+    try {
+      res.json({ active: prompts.activate(templateId) });
+    } catch (error) {
+      res.status(409).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // SHADOW MODE
+  // ============================================
+
+  router.get('/shadow', async (req, res) => {
+    try {
+      const limit = queryLimit(req);
+      res.json({ mode: shadow.mode, candidate_template: shadow.candidateTemplate, runs: await shadow.list({ mentionId: req.query.mention_id, limit }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // CONVERSATION MEMORY
+  // ============================================
+
+  router.get('/conversations/:conversationId', async (req, res) => {
+    try {
+      const turns = await listConversationTurns(req.params.conversationId);
+      if (turns.length === 0) return res.status(404).json({ error: 'No memory of this conversation' });
+      res.json({ conversation_id: req.params.conversationId, turns });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // AUTHOR PROFILES
+  // ============================================
+
+  router.get('/authors/:authorId', async (req, res) => {
+    try {
+      const limit = queryLimit(req, 20);
+      const profile = await loadAuthorProfile(req.params.authorId, { limit });
+      if (!profile) return res.status(404).json({ error: 'No profile for this author' });
+      res.json({ profile });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.patch('/authors/:authorId', async (req, res) => {
+    try {
+      const edits = req.body || {};
+      const invalid = profileEditError(edits);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { notes, hostile, topics, tickers } = edits;
+      const profile = await editAuthorProfile(req.params.authorId, { notes, hostile, topics, tickers });
+      if (!profile) return res.status(404).json({ error: 'No profile for this author' });
+      res.json({ profile });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/authors/:authorId', async (req, res) => {
+    try {
+      if (!(await forgetAuthor(req.params.authorId))) {
+        return res.status(404).json({ error: 'No profile for this author' });
+      }
+      res.json({ forgotten: req.params.authorId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // REPLY ENGAGEMENT
+  // ============================================
+
+  router.get('/replies/:replyId', async (req, res) => {
+    try {
+      const reply = await engagement.reply(req.params.replyId);
+      if (!reply) return res.status(404).json({ error: 'Reply not tracked' });
+      res.json({ reply });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // RESEARCH CACHE
+  // ============================================
+
+  router.get('/research-cache', async (req, res) => {
+    try {
+      const { kind } = req.query;
+      if (kind && !CACHE_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of: ${CACHE_KINDS.join(', ')}` });
+      }
+      const limit = queryLimit(req);
+      res.json({ cache: researchCache.metrics(), entries: await researchCache.list({ kind, limit }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/research-cache/:key', async (req, res) => {
+    try {
+      const entry = await researchCache.entry(req.params.key);
+      if (!entry) return res.status(404).json({ error: 'Not cached' });
+      res.json({ entry });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Purge everything, or one kind with ?kind=topic|ticker|page
+  router.delete('/research-cache', async (req, res) => {
+    try {
+      const { kind } = req.query;
+      if (kind && !CACHE_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of: ${CACHE_KINDS.join(', ')}` });
+      }
+      res.json({ purged: await researchCache.purge({ kind }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/research-cache/:key', async (req, res) => {
+    try {
+      const purged = await researchCache.purge({ cacheKey: req.params.key });
+      if (purged === 0) return res.status(404).json({ error: 'Not cached' });
+      res.json({ purged });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // TWITTER QUOTA
+  // ============================================
+
+  // Usage per call site + forecast; ?date=YYYY-MM-DD picks the quota month holding that day
+  router.get('/quota', async (req, res) => {
+    try {
+      const { date } = req.query;
+      const at = date ? new Date(`${date}T12:00:00Z`) : new Date();
+      if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(at.getTime()))) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+      }
+      res.json(await quota.report(at));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // COSTS
+  // ============================================
+
+  router.get('/costs', async (req, res) => {
+    try {
+      const days = parseInt(req.query.days || '7', 10);
+      if (!(days >= 1 && days <= 90)) {
+        return res.status(400).json({ error: 'days must be between 1 and 90' });
+      }
+      res.json(await costs.report({ days }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Every recorded attempt at one mention, by phase
+  router.get('/costs/:mentionId', async (req, res) => {
+    try {
+      const entries = await costs.mention(req.params.mentionId);
+      if (entries.length === 0) return res.status(404).json({ error: 'No costs recorded for this mention' });
+      const total = entries.reduce((sum, e) => sum + e.cost, 0);
+      res.json({ mention_id: req.params.mentionId, total: Number(total.toFixed(6)), entries });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // REPLY POLICY
+  // ============================================
+
+  router.get('/policy', (req, res) => {
+    try {
+      res.json({ file: policy.file, rules: policy.rules(), approval: policy.approval() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/policy/decisions', async (req, res) => {
+    try {
+      const limit = queryLimit(req);
+      res.json({ decisions: await listPolicyDecisions({ mentionId: req.query.mention_id, limit }) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
@@ -1,91 +1,77 @@
 /**
  * Analytics & Monitoring
  * Track performance, costs, and engagement
+ * Events are stored in the analytics_events table (db.js)
  */
 
-import fs from 'fs';
-import path from 'path';
-
-const ANALYTICS_FILE = path.join(process.cwd(), 'analytics.jsonl');
+import { recordAnalyticsEvent, getAnalyticsStats, getTopRepliedAuthors, summarizeCosts } from './db.js';
 
 export class Analytics {
-  static logMention(mention, filtered = false) {
-    const record = {
-      timestamp: new Date().toISOString(),
+  /**
+   * mention: a pipeline mention ({ id, author_id, text, author })
+   */
+  static async logMention(mention, filtered = false) {
+    await this.write({
       type: 'mention',
-      author: mention.user?.screen_name,
-      user_id: mention.user?.id_str,
-      verified: mention.user?.verified,
-      followers: mention.user?.followers_count,
+      author: mention.author?.username,
+      user_id: mention.author_id,
+      mention_id: mention.id,
       text: mention.text?.substring(0, 100),
-      filtered
-    };
-    this.write(record);
+      filtered,
+      detail: {
+        verified: mention.author?.verified,
+        followers: mention.author?.public_metrics?.followers_count
+      }
+    });
   }
 
-  static logReply(mention, reply, tweet_id) {
-    const record = {
-      timestamp: new Date().toISOString(),
+  /**
+   * cost: what the mention measured (costs.js), every attempt included
+   */
+  static async logReply(mention, reply, tweet_id, cost = null) {
+    await this.write({
       type: 'reply',
-      author: mention.user?.screen_name,
-      mention_id: mention.id_str,
+      author: mention.author?.username,
+      user_id: mention.author_id,
+      mention_id: mention.id,
       reply_id: tweet_id,
-      reply_text: reply?.substring(0, 100),
-      cost: 0.014,
+      text: reply?.substring(0, 100),
+      cost,
       success: !!tweet_id
-    };
-    this.write(record);
+    });
   }
 
-  static logError(error, context = {}) {
-    const record = {
-      timestamp: new Date().toISOString(),
+  static async logError(error, context = {}) {
+    await this.write({
       type: 'error',
       error: error.message,
-      ...context
-    };
-    this.write(record);
+      mention_id: context.mention_id,
+      detail: context
+    });
   }
 
-  static write(record) {
+  /**
+   * Analytics must never break the caller - failures are only logged
+   */
+  static async write(record) {
     try {
-      const line = JSON.stringify(record) + '\n';
-      fs.appendFileSync(ANALYTICS_FILE, line);
+      await recordAnalyticsEvent(record);
     } catch (e) {
       console.error(`Analytics write error: ${e.message}`);
     }
   }
 
-  static getStats(hours = 24) {
+  static async getStats(hours = 24) {
     try {
-      if (!fs.existsSync(ANALYTICS_FILE)) {
-        return { mentions: 0, replies: 0, errors: 0, cost: 0 };
-      }
-
-      const content = fs.readFileSync(ANALYTICS_FILE, 'utf-8');
-      const lines = content.split('\n').filter(l => l.trim());
-
-      const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-      const records = lines
-        .map(l => {
-          try {
-            return JSON.parse(l);
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(r => r && new Date(r.timestamp) > cutoff);
-
-      const mentions = records.filter(r => r.type === 'mention' && !r.filtered).length;
-      const replies = records.filter(r => r.type === 'reply' && r.success).length;
-      const errors = records.filter(r => r.type === 'error').length;
-      const cost = replies * 0.014;
-
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+      const stats = await getAnalyticsStats(since);
+      // Everything spent, including mentions researched but never replied to
+      const spend = await summarizeCosts(since);
       return {
-        mentions,
-        replies,
-        errors,
-        cost: `$${cost.toFixed(2)}`,
+        mentions: stats.mentions,
+        replies: stats.replies,
+        errors: stats.errors,
+        cost: `$${spend.cost.toFixed(2)}`,
         period: `${hours}h`
       };
     } catch (e) {
@@ -102,29 +88,9 @@ export class Analytics {
     return this.getStats(24 * 7);
   }
 
-  static getTopAuthors(limit = 10) {
+  static async getTopAuthors(limit = 10) {
     try {
-      if (!fs.existsSync(ANALYTICS_FILE)) return [];
-
-      const content = fs.readFileSync(ANALYTICS_FILE, 'utf-8');
-      const lines = content.split('\n').filter(l => l.trim());
-
-      const authors = {};
-      lines.forEach(line => {
-        try {
-          const r = JSON.parse(line);
-          if (r.type === 'reply' && r.author) {
-            authors[r.author] = (authors[r.author] || 0) + 1;
-          }
-        } catch (e) {
-          // skip
-        }
-      });
-
-      return Object.entries(authors)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, limit)
-        .map(([author, count]) => ({ author, replies: count }));
+      return await getTopRepliedAuthors(limit);
     } catch (e) {
       return [];
     }
@@ -0,0 +1,103 @@
+/**
+ * REPLY COMPOSITION
+ * Canned GROK-tone fallbacks and post-processing for replies generated
+ * from the research context (the prompts themselves are templates, see prompts.js)
+ */
+
+/**
+ * Pull the reply text out of an Anthropic response
+ */
+function extractReplyText(msg) {
+  try {
+    return msg.content && msg.content[0] && msg.content[0].text
+      ? msg.content[0].text.trim()
+      : '';
+  } catch (e) {
+    console.log(`[REPLY-PARSE] Error extracting reply text: ${e.message}`);
+    return '';
+  }
+}
+
+/**
+ * ALWAYS have a fallback - GROK TONE: sharp, witty, confident
+ */
+function fallbackReply({ tickerContext, contextKnowledge }) {
+  let replyText = '';
+
+  // If we have ticker context, analyze with GROK attitude
+  if (tickerContext && tickerContext.length > 0) {
+    // Extract ticker from context
+    const tickerMatch = tickerContext.match(/\$[A-Z]+/);
+    const ticker = tickerMatch ? tickerMatch[0] : null;
+
+    if (ticker) {
+      // Analyze attention/momentum from research - with GROK tone
+      const hasBullish = tickerContext.toLowerCase().includes('ship') || tickerContext.toLowerCase().includes('launch') || tickerContext.toLowerCase().includes('execution');
+      const hasGrowth = tickerContext.toLowerCase().includes('grow') || tickerContext.toLowerCase().includes('uptick') || tickerContext.toLowerCase().includes('trending');
+      const hasAI = tickerContext.toLowerCase().includes('ai') || tickerContext.toLowerCase().includes('agent');
+
+      if (hasBullish && hasAI) {
+        replyText = `${ticker} shipping AI execution—signal gets louder when builders stop talking and ship.`;
+      } else if (hasBullish) {
+        replyText = `${ticker} is doing the work. Everyone else is still debating whether it matters.`;
+      } else if (hasGrowth) {
+        replyText = `${ticker} attention follows one pattern: people notice when execution happens, not promises.`;
+      } else {
+        replyText = `${ticker}—when execution beats narrative, the market figures it out.`;
+      }
+    }
+  }
+
+  // If still no reply, use context-based fallback with GROK tone
+  if (!replyText || replyText.length === 0) {
+    const threadSummary = contextKnowledge.conversationSummary.toLowerCase();
+    const hasBots = threadSummary.includes('bot') || threadSummary.includes('agent');
+    const hasBuilding = threadSummary.includes('build') || threadSummary.includes('ship');
+    const hasAI = threadSummary.includes('ai') || threadSummary.includes('intelligence');
+
+    if (hasBots && hasAI) {
+      replyText = 'AI agents shipping—that\'s the only narrative that matters now.';
+    } else if (hasBots) {
+      replyText = 'Bots that ship beat conferences full of theorists.';
+    } else if (hasBuilding) {
+      replyText = 'Building wins. Always beats the alternative.';
+    } else if (hasAI) {
+      replyText = 'AI execution > AI predictions. The market knows.';
+    } else {
+      replyText = 'Execution always wins. Eventually.';
+    }
+  }
+
+  return replyText;
+}
+
+/**
+ * Trim to tweet length at a word boundary and turn questions into statements
+ */
+function finalizeReply(replyText) {
+  // Ensure we don't cut off mid-sentence - intelligently truncate at word boundary
+  if (replyText.length > 240) {
+    // Find the last space before 240 chars
+    const truncated = replyText.substring(0, 240);
+    const lastSpace = truncated.lastIndexOf(' ');
+    if (lastSpace > 200) { // Only truncate at space if we're losing less than 40 chars
+      replyText = truncated.substring(0, lastSpace);
+      // Add ellipsis if truncated mid-thought
+      if (!replyText.endsWith('.') && !replyText.endsWith('!')) {
+        replyText += '.';
+      }
+    } else {
+      replyText = truncated.substring(0, 237) + '...';
+    }
+  }
+
+  // Final validation: ensure it's a statement (no trailing questions)
+  if (replyText.includes('?')) {
+    replyText = replyText.replace(/\?$/g, '.').replace(/\s+\?$/g, '.');
+  }
+
+  // Ensure no question marks remain (convert to statements)
+  return replyText.replace(/\?/g, '.');
+}
+
+export { extractReplyText, fallbackReply, finalizeReply };
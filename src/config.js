@@ -0,0 +1,41 @@
+/**
+ * Config files
+ * JSON or YAML (by extension) under config/, re-read when they change on disk
+ */
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+export const CONFIG_DIR = path.join(process.cwd(), 'config');
+
+export function parseConfigFile(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+}
+
+/**
+ * Returns a getter that re-parses the file when its mtime changes.
+ * validate(config) may throw; an invalid edit keeps the last good config.
+ * parse(file) defaults to JSON/YAML; pass one for other formats (e.g. markdown).
+ */
+export function watchedConfig(file, { label = 'CONFIG', validate = c => c, parse = parseConfigFile } = {}) {
+  let config = null;
+  let loadedMtime = 0;
+
+  return function current() {
+    const { mtimeMs } = fs.statSync(file);
+    if (!config || mtimeMs !== loadedMtime) {
+      try {
+        config = validate(parse(file));
+        loadedMtime = mtimeMs;
+        console.log(`[${label}] Loaded ${file}`);
+      } catch (e) {
+        if (!config) throw e;
+        console.error(`[${label}] Ignoring invalid update to ${file}: ${e.message}`);
+        loadedMtime = mtimeMs;
+      }
+    }
+    return config;
+  };
+}
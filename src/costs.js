@@ -0,0 +1,269 @@
+/**
+ * Cost Ledger
+ * What each mention actually cost, from the usage the APIs report rather than a flat
+ * per-reply guess:
+ * - Anthropic: input/output tokens from each response's usage, priced per model
+ * - Twitter: calls, tweets read and tweets written (priced when the tier charges per tweet)
+ *
+ * The queue gives every attempt at a mention a meter; the pipeline runs its Twitter and
+ * Anthropic calls through it, split by phase (intake, research, composition, posting),
+ * and the attempt's spend lands in mention_costs. Prices and the daily budget live in
+ * config/costs.json (COST_CONFIG_FILE), re-read on change - once today's spend (UTC)
+ * reaches daily_budget_usd, the queue holds mentions until the next day.
+ */
+
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from './config.js';
+import { logger } from './logger.js';
+import { endpointKey } from './twitter-client.js';
+import { tweetsInCall } from './quota.js';
+import { recordMentionCost, summarizeCosts, listMentionCosts, getMentionSpend, getAnalyticsStats } from './db.js';
+
+const DEFAULT_COST_FILE = path.join(CONFIG_DIR, 'costs.json');
+const DAY = 24 * 60 * 60 * 1000;
+const MTOK = 1000000;
+// Anthropic bills cache writes at 1.25x and cache reads at 0.1x the input price
+const CACHE_WRITE_RATE = 1.25;
+const CACHE_READ_RATE = 0.1;
+
+export const PHASES = ['intake', 'research', 'composition', 'posting'];
+
+function validateCostConfig(config) {
+  const budget = config.daily_budget_usd;
+  if (budget !== undefined && budget !== null && !(Number.isFinite(budget) && budget >= 0)) {
+    throw new Error('daily_budget_usd must be a dollar amount >= 0 (or null for no cutoff)');
+  }
+  for (const [model, price] of Object.entries(config.anthropic || {})) {
+    if (!(price?.input_per_mtok >= 0 && price?.output_per_mtok >= 0)) {
+      throw new Error(`anthropic.${model} needs input_per_mtok and output_per_mtok`);
+    }
+  }
+  for (const key of ['per_tweet_read', 'per_tweet_written']) {
+    const value = config.twitter?.[key];
+    if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`twitter.${key} must be a dollar amount >= 0`);
+    }
+  }
+  return config;
+}
+
+/**
+ * Price for a model id - "claude-haiku-4-5-20251001" matches "claude-haiku-4-5"
+ */
+export function modelPrice(config, model) {
+  const prices = config.anthropic || {};
+  const match = Object.keys(prices)
+    .filter(name => model === name || model?.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? prices[match] : null;
+}
+
+const warnedModels = new Set();
+
+function llmCost(config, model, usage) {
+  const price = modelPrice(config, model);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      logger.warn(`No price for model ${model} in costs config - its calls are counted at $0`);
+    }
+    return 0;
+  }
+  const input = (usage.input_tokens || 0)
+    + (usage.cache_creation_input_tokens || 0) * CACHE_WRITE_RATE
+    + (usage.cache_read_input_tokens || 0) * CACHE_READ_RATE;
+  return (input * price.input_per_mtok + (usage.output_tokens || 0) * price.output_per_mtok) / MTOK;
+}
+
+function emptyPhase() {
+  return {
+    llm_calls: 0, input_tokens: 0, output_tokens: 0, llm_cost: 0,
+    twitter_calls: 0, tweets_read: 0, tweets_written: 0, twitter_cost: 0,
+    models: {}
+  };
+}
+
+/**
+ * Spend for one attempt at one mention, by phase
+ */
+export function createCostMeter(mentionId, config) {
+  const phases = {};
+  const phase = name => phases[name] ??= emptyPhase();
+
+  return {
+    mentionId,
+    phases,
+
+    anthropic(name, model, usage = {}) {
+      const entry = phase(name);
+      const cost = llmCost(config, model, usage);
+      entry.llm_calls++;
+      entry.input_tokens += usage.input_tokens || 0;
+      entry.output_tokens += usage.output_tokens || 0;
+      entry.llm_cost += cost;
+
+      const byModel = entry.models[model] ??= { calls: 0, input_tokens: 0, output_tokens: 0, cost: 0 };
+      byModel.calls++;
+      byModel.input_tokens += usage.input_tokens || 0;
+      byModel.output_tokens += usage.output_tokens || 0;
+      byModel.cost += cost;
+    },
+
+    twitter(name, endpoint, body) {
+      const entry = phase(name);
+      const usage = tweetsInCall(endpoint, body);
+      entry.twitter_calls++;
+      if (usage?.kind === 'read') {
+        entry.tweets_read += usage.tweets;
+        entry.twitter_cost += usage.tweets * (config.twitter?.per_tweet_read || 0);
+      } else if (usage?.kind === 'write') {
+        entry.tweets_written += usage.tweets;
+        entry.twitter_cost += usage.tweets * (config.twitter?.per_tweet_written || 0);
+      }
+    },
+
+    total() {
+      return Object.values(phases).reduce((sum, p) => sum + p.llm_cost + p.twitter_cost, 0);
+    }
+  };
+}
+
+/**
+ * Anthropic client whose calls are charged to a meter phase (the meter is optional)
+ */
+export function meteredAnthropic(anthropic, meter, phase) {
+  if (!meter) return anthropic;
+  return {
+    messages: {
+      async create(params) {
+        const msg = await anthropic.messages.create(params);
+        meter.anthropic(phase, msg.model || params.model, msg.usage);
+        return msg;
+      }
+    }
+  };
+}
+
+/**
+ * Twitter client whose calls are charged to a meter phase (the meter is optional)
+ */
+export function meteredTwitter(client, meter, phase) {
+  if (!meter) return client;
+  const charge = (method, path) => body => {
+    meter.twitter(phase, endpointKey(method, path), body);
+    return body;
+  };
+  return {
+    get: (path, ...args) => client.get(path, ...args).then(charge('GET', path)),
+    post: (path, ...args) => client.post(path, ...args).then(charge('POST', path)),
+    me: (...args) => client.me(...args).then(charge('GET', 'users/me'))
+  };
+}
+
+const round = (n, places = 4) => Number(n.toFixed(places));
+
+function startOfUtcDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function phaseBreakdown(rows) {
+  return Object.fromEntries(rows.map(({ phase, ...totals }) => [phase, {
+    ...totals,
+    cost: round(totals.cost),
+    llm_cost: round(totals.llm_cost),
+    twitter_cost: round(totals.twitter_cost)
+  }]));
+}
+
+export function createCostLedger({ file = process.env.COST_CONFIG_FILE || DEFAULT_COST_FILE } = {}) {
+  const config = watchedConfig(file, { label: 'COSTS', validate: validateCostConfig });
+  config(); // fail at startup, not on the first mention
+
+  const budget = () => config().daily_budget_usd ?? null;
+
+  /**
+   * Store an attempt's spend, one row per phase it touched
+   */
+  async function record(meter, jobId = null) {
+    const createdAt = new Date().toISOString();
+    for (const [phase, { models, ...totals }] of Object.entries(meter.phases)) {
+      await recordMentionCost({
+        mention_id: meter.mentionId,
+        job_id: jobId,
+        phase,
+        ...totals,
+        cost: totals.llm_cost + totals.twitter_cost,
+        detail: Object.keys(models).length > 0 ? { models } : null,
+        created_at: createdAt
+      });
+    }
+  }
+
+  async function spentToday() {
+    return (await summarizeCosts(new Date(startOfUtcDay(new Date()) - 1))).cost;
+  }
+
+  /**
+   * Today's spend against the budget, the last `days` per mention / per reply and by
+   * phase, and projections from that daily average
+   */
+  async function report({ days = 7 } = {}) {
+    const now = new Date();
+    const since = new Date(now - days * DAY);
+    const today = await summarizeCosts(new Date(startOfUtcDay(now) - 1));
+    const recent = await summarizeCosts(since);
+    const { replies } = await getAnalyticsStats(since);
+
+    // Average over the days we have data for, not days we weren't running
+    const observedDays = recent.first_at
+      ? Math.min(days, Math.max(1, (now - new Date(recent.first_at)) / DAY))
+      : days;
+    const daily = recent.cost / observedDays;
+    const limit = budget();
+
+    return {
+      today: {
+        spent: round(today.cost),
+        budget: limit,
+        remaining: limit === null ? null : round(Math.max(0, limit - today.cost)),
+        mentions: today.mentions,
+        by_phase: phaseBreakdown(today.phases)
+      },
+      recent: {
+        days,
+        spent: round(recent.cost),
+        mentions: recent.mentions,
+        replies,
+        per_mention: recent.mentions > 0 ? round(recent.cost / recent.mentions) : null,
+        per_reply: replies > 0 ? round(recent.cost / replies) : null,
+        by_phase: phaseBreakdown(recent.phases)
+      },
+      projection: {
+        daily: round(daily),
+        weekly: round(daily * 7),
+        monthly: round(daily * 30, 2),
+        yearly: round(daily * 365, 2)
+      }
+    };
+  }
+
+  /**
+   * True once today's spend has reached the daily budget
+   */
+  async function overBudget() {
+    const limit = budget();
+    if (limit === null) return false;
+    return (await spentToday()) >= limit;
+  }
+
+  return {
+    meter: mentionId => createCostMeter(mentionId, config()),
+    record,
+    report,
+    overBudget,
+    budget,
+    mention: listMentionCosts,
+    // Stored spend for a mention plus an attempt that isn't recorded yet
+    spentOn: async (mentionId, meter = null) => (await getMentionSpend(mentionId)) + (meter?.total() || 0)
+  };
+}
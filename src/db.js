@@ -1,120 +1,1045 @@
 /**
- * Database - SQLite
- * Tracks replies to avoid duplicates within 24h
+ * Database
+ * The one place state is kept (the repository layer - nothing else writes state files):
+ * replies and reply tracking (dedup + per-conversation caps),
+ * the durable mention job queue, ingestion cursors,
+ * policy/moderation decisions, drafts awaiting approval, the shadow log,
+ * A/B experiment assignments, engagement snapshots of our posted replies,
+ * conversation transcripts, author profiles, analytics events and cached research
+ *
+ * Backed by SQLite or Postgres (storage/ - picked by DATABASE_URL). Queries here stay
+ * portable: ? placeholders, ON CONFLICT upserts, CASE instead of boolean sums,
+ * RETURNING instead of last-insert ids.
+ *
+ * The schema is built by the versioned migrations in migrations.js
  */
 
-import sqlite3 from 'sqlite3';
-import path from 'path';
 import { logger } from './logger.js';
+import { MIGRATIONS } from './migrations.js';
+import { openStore } from './storage/index.js';
 
-const dbPath = path.join(process.cwd(), 'graisonbot.db');
-let db;
-
-export function initDb() {
-  db = new sqlite3.Database(dbPath, (err) => {
-    if (err) {
-      logger.error('Database connection failed', { error: err.message });
-    } else {
-      logger.info(`Database initialized at ${dbPath}`);
-      
-      // Create table if not exists
-      db.run(`
-        CREATE TABLE IF NOT EXISTS mentions (
-          id INTEGER PRIMARY KEY,
-          user_id TEXT NOT NULL,
-          tweet_id TEXT NOT NULL,
-          reply_text TEXT NOT NULL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `, (tableErr) => {
-        if (tableErr) {
-          logger.error('Table creation failed', { error: tableErr.message });
-        } else {
-          // Create index AFTER table is created
-          db.run(`
-            CREATE INDEX IF NOT EXISTS idx_user_id ON mentions(user_id)
-          `, (indexErr) => {
-            if (indexErr) logger.error('Index creation failed', { error: indexErr.message });
-            else logger.info('Database ready');
-          });
-        }
+let store;
+
+function run(sql, params = []) {
+  return store.run(sql, params);
+}
+
+function get(sql, params = []) {
+  return store.get(sql, params);
+}
+
+function all(sql, params = []) {
+  return store.all(sql, params);
+}
+
+/**
+ * mentions.timestamp is CURRENT_TIMESTAMP format (YYYY-MM-DD HH:MM:SS, UTC)
+ */
+function toTimestamp(date) {
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Apply migrations this database hasn't seen, in version order, each in a transaction
+ */
+async function migrate() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  const applied = new Set((await all(`SELECT version FROM schema_migrations`)).map(r => r.version));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+
+    try {
+      await store.transaction(async (tx) => {
+        const ensureColumn = async (table, column, definition) => {
+          if (!(await tx.columns(table)).includes(column)) {
+            await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            logger.info(`Added column ${table}.${column}`);
+          }
+        };
+        await migration.up({ run: tx.run, get: tx.get, all: tx.all, ensureColumn });
+        await tx.run(
+          `INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`,
+          [migration.version, migration.name, new Date().toISOString()]
+        );
       });
+      logger.info(`Applied migration ${migration.version} (${migration.name})`);
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
     }
-  });
+  }
+}
+
+/**
+ * Every known migration and when it was applied here (null = pending)
+ */
+export async function migrationStatus() {
+  const rows = await all(`SELECT version, applied_at FROM schema_migrations`);
+  const appliedAt = new Map(rows.map(r => [r.version, r.applied_at]));
+  return MIGRATIONS.map(m => ({ version: m.version, name: m.name, applied_at: appliedAt.get(m.version) || null }));
+}
+
+/**
+ * Open the database and migrate it. Resolves once the schema is ready.
+ */
+export async function initDb() {
+  try {
+    store = await openStore();
+  } catch (err) {
+    logger.error('Database connection failed', { error: err.message });
+    throw err;
+  }
+
+  logger.info(`Database initialized at ${store.location} (${store.backend})`);
+
+  try {
+    await migrate();
+    logger.info('Database ready');
+  } catch (schemaErr) {
+    logger.error('Schema creation failed', { error: schemaErr.message });
+    throw schemaErr;
+  }
+}
+
+/**
+ * sqlite or postgres
+ */
+export function databaseBackend() {
+  return store?.backend || null;
+}
+
+export async function closeDb() {
+  if (store) await store.close();
+  store = null;
 }
 
 /**
  * Check if already replied to user in last 24h
  */
 export async function hasRecentReply(userId) {
-  return new Promise((resolve) => {
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-
-    db.get(
-      `SELECT id FROM mentions WHERE user_id = ? AND timestamp > ?`,
-      [userId, oneDayAgo],
-      (err, row) => {
-        resolve(!!row);
-      }
-    );
-  });
+  const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  try {
+    return !!(await get(`SELECT id FROM mentions WHERE user_id = ? AND timestamp > ?`, [userId, oneDayAgo]));
+  } catch (err) {
+    return false;
+  }
 }
 
 /**
  * Add reply record
  */
-export async function addReply(userId, tweetId, replyText) {
-  return new Promise((resolve, reject) => {
-    db.run(
-      `INSERT INTO mentions (user_id, tweet_id, reply_text) VALUES (?, ?, ?)`,
-      [userId, tweetId, replyText],
-      (err) => {
-        if (err) {
-          console.error('DB insert error:', err.message);
-          reject(err);
-        } else {
-          resolve(true);
-        }
-      }
+export async function addReply(userId, tweetId, replyText, template = null) {
+  try {
+    await run(
+      `INSERT INTO mentions (user_id, tweet_id, reply_text, template) VALUES (?, ?, ?, ?)`,
+      [userId, tweetId, replyText, template]
     );
-  });
+    return true;
+  } catch (err) {
+    console.error('DB insert error:', err.message);
+    throw err;
+  }
 }
 
 /**
  * Get recent replies (for analytics)
  */
 export async function getRecentReplies(hours = 24) {
-  return new Promise((resolve) => {
-    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-
-    db.all(
-      `SELECT * FROM mentions WHERE timestamp > ? ORDER BY timestamp DESC`,
-      [since],
-      (err, rows) => {
-        resolve(rows || []);
-      }
-    );
-  });
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  try {
+    return await all(`SELECT * FROM mentions WHERE timestamp > ? ORDER BY timestamp DESC`, [since]);
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Count replies since a time, optionally for one user
+ */
+export async function countRepliesSince(since, userId = null) {
+  const sinceTimestamp = toTimestamp(since);
+  const row = userId
+    ? await get(`SELECT COUNT(*) as count FROM mentions WHERE timestamp > ? AND user_id = ?`, [sinceTimestamp, userId])
+    : await get(`SELECT COUNT(*) as count FROM mentions WHERE timestamp > ?`, [sinceTimestamp]);
+  return row ? row.count : 0;
 }
 
 /**
  * Get stats
  */
 export async function getStats() {
-  return new Promise((resolve) => {
-    db.get(
+  const weekAgo = toTimestamp(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+  try {
+    const row = await get(
       `
       SELECT 
         COUNT(*) as total_replies,
         COUNT(DISTINCT user_id) as unique_users,
         MAX(timestamp) as last_reply
       FROM mentions
-      WHERE timestamp > datetime('now', '-7 days')
+      WHERE timestamp > ?
       `,
-      (err, row) => {
-        resolve(row || { total_replies: 0, unique_users: 0 });
-      }
+      [weekAgo]
     );
-  });
+    return row || { total_replies: 0, unique_users: 0 };
+  } catch (err) {
+    return { total_replies: 0, unique_users: 0 };
+  }
+}
+
+/**
+ * Replies per prompt template over the last 7 days
+ */
+export async function countRepliesByTemplate() {
+  const rows = await all(
+    `SELECT COALESCE(template, 'unknown') AS template, COUNT(*) AS replies
+     FROM mentions
+     WHERE timestamp > ?
+     GROUP BY template
+     ORDER BY replies DESC`,
+    [toTimestamp(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000))]
+  );
+  return Object.fromEntries(rows.map(r => [r.template, r.replies]));
+}
+
+// ============================================
+// JOB QUEUE
+// ============================================
+
+// Stored as JSON text
+const JSON_JOB_COLUMNS = ['context', 'experiment'];
+
+function parseJob(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payload: JSON.parse(row.payload),
+    context: row.context ? JSON.parse(row.context) : null,
+    experiment: row.experiment ? JSON.parse(row.experiment) : null
+  };
+}
+
+/**
+ * Queue a mention. Returns false if this mention is already queued.
+ */
+export async function enqueueJob(mentionId, source, payload) {
+  const now = new Date().toISOString();
+  const { changes } = await run(
+    `INSERT INTO jobs (mention_id, source, payload, state, next_attempt_at, created_at, updated_at)
+     VALUES (?, ?, ?, 'pending', ?, ?, ?)
+     ON CONFLICT(mention_id) DO NOTHING`,
+    [mentionId, source, JSON.stringify(payload), now, now, now]
+  );
+  return changes > 0;
+}
+
+/**
+ * Oldest pending job whose backoff has elapsed
+ */
+export async function getNextDueJob() {
+  const row = await get(
+    `SELECT * FROM jobs WHERE state = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 1`,
+    [new Date().toISOString()]
+  );
+  return parseJob(row);
+}
+
+export async function getJob(id) {
+  return parseJob(await get(`SELECT * FROM jobs WHERE id = ?`, [id]));
+}
+
+/**
+ * Update job fields (state, attempts, last_error, context, reply_text, reply_id, next_attempt_at)
+ */
+export async function updateJob(id, fields) {
+  const columns = Object.keys(fields);
+  const values = columns.map(c => (JSON_JOB_COLUMNS.includes(c) && fields[c] !== null ? JSON.stringify(fields[c]) : fields[c]));
+
+  await run(
+    `UPDATE jobs SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+    [...values, new Date().toISOString(), id]
+  );
+}
+
+export async function listJobs(state, limit = 50) {
+  const rows = state
+    ? await all(`SELECT * FROM jobs WHERE state = ? ORDER BY id DESC LIMIT ?`, [state, limit])
+    : await all(`SELECT * FROM jobs ORDER BY id DESC LIMIT ?`, [limit]);
+  return rows.map(parseJob);
+}
+
+export async function countJobsByState() {
+  const rows = await all(`SELECT state, COUNT(*) as count FROM jobs GROUP BY state`);
+  return Object.fromEntries(rows.map(r => [r.state, r.count]));
+}
+
+/**
+ * Jobs interrupted mid-flight by a restart go back to pending.
+ * Research/reply already saved on the row are reused.
+ */
+export async function resetInterruptedJobs() {
+  const { changes } = await run(
+    `UPDATE jobs SET state = 'pending', updated_at = ? WHERE state IN ('researching', 'composing')`,
+    [new Date().toISOString()]
+  );
+  return changes;
+}
+
+// ============================================
+// CURSORS
+// ============================================
+
+export async function getCursor(name) {
+  const row = await get(`SELECT value FROM cursors WHERE name = ?`, [name]);
+  return row ? row.value : null;
+}
+
+export async function setCursor(name, value) {
+  await run(
+    `INSERT INTO cursors (name, value, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+    [name, value, new Date().toISOString()]
+  );
+}
+
+// ============================================
+// POLICY DECISIONS
+// ============================================
+
+export async function recordPolicyDecision(decision) {
+  await run(
+    `INSERT INTO policy_decisions (mention_id, author_id, allowed, rule_id, reason, trace, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      decision.mention_id,
+      decision.author_id,
+      decision.allowed ? 1 : 0,
+      decision.rule_id,
+      decision.reason,
+      JSON.stringify(decision.trace),
+      decision.decided_at
+    ]
+  );
+}
+
+export async function listPolicyDecisions({ mentionId = null, limit = 50 } = {}) {
+  const rows = mentionId
+    ? await all(`SELECT * FROM policy_decisions WHERE mention_id = ? ORDER BY id DESC LIMIT ?`, [mentionId, limit])
+    : await all(`SELECT * FROM policy_decisions ORDER BY id DESC LIMIT ?`, [limit]);
+  return rows.map(row => ({ ...row, allowed: !!row.allowed, trace: JSON.parse(row.trace) }));
+}
+
+// ============================================
+// MODERATION
+// ============================================
+
+export async function recordModerationDecision(decision) {
+  await run(
+    `INSERT INTO moderation_decisions (mention_id, author_id, label, action, confidence, reason, classifier, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      decision.mention_id,
+      decision.author_id,
+      decision.label,
+      decision.action,
+      decision.confidence,
+      decision.reason,
+      decision.classifier,
+      new Date().toISOString()
+    ]
+  );
+}
+
+export async function listModerationDecisions({ label = null, limit = 50 } = {}) {
+  return label
+    ? all(`SELECT * FROM moderation_decisions WHERE label = ? ORDER BY id DESC LIMIT ?`, [label, limit])
+    : all(`SELECT * FROM moderation_decisions ORDER BY id DESC LIMIT ?`, [limit]);
+}
+
+// ============================================
+// DRAFTS (approval queue)
+// ============================================
+
+function parseDraft(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    context: row.context ? JSON.parse(row.context) : null,
+    flags: JSON.parse(row.flags)
+  };
+}
+
+export async function createDraft({ jobId, mentionId, authorId, mentionText, draftText, context, flags }) {
+  const { id } = await get(
+    `INSERT INTO drafts (job_id, mention_id, author_id, mention_text, draft_text, context, flags, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+     RETURNING id`,
+    [jobId, mentionId, authorId, mentionText, draftText, JSON.stringify(context), JSON.stringify(flags), new Date().toISOString()]
+  );
+  return id;
+}
+
+export async function getDraft(id) {
+  return parseDraft(await get(`SELECT * FROM drafts WHERE id = ?`, [id]));
+}
+
+export async function listDrafts(status = 'pending', limit = 50) {
+  const rows = status
+    ? await all(`SELECT * FROM drafts WHERE status = ? ORDER BY id DESC LIMIT ?`, [status, limit])
+    : await all(`SELECT * FROM drafts ORDER BY id DESC LIMIT ?`, [limit]);
+  return rows.map(parseDraft);
+}
+
+/**
+ * Approve or reject a pending draft. Returns false if it was already decided.
+ */
+export async function decideDraft(id, { status, finalText = null, note = null }) {
+  const { changes } = await run(
+    `UPDATE drafts SET status = ?, final_text = ?, reviewer_note = ?, decided_at = ? WHERE id = ? AND status = 'pending'`,
+    [status, finalText, note, new Date().toISOString(), id]
+  );
+  return changes > 0;
+}
+
+// ============================================
+// SHADOW LOG
+// ============================================
+
+export async function recordShadowRun(entry) {
+  const { id } = await get(
+    `INSERT INTO shadow_runs (job_id, mention_id, mode, kind, reply_text, reply_id, prompts, candidate_text, candidate_prompts, candidate_error, context, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     RETURNING id`,
+    [
+      entry.job_id,
+      entry.mention_id,
+      entry.mode,
+      entry.kind,
+      entry.reply_text,
+      entry.reply_id || null,
+      entry.prompts ? JSON.stringify(entry.prompts) : null,
+      entry.candidate_text || null,
+      entry.candidate_prompts ? JSON.stringify(entry.candidate_prompts) : null,
+      entry.candidate_error || null,
+      JSON.stringify(entry.context),
+      new Date().toISOString()
+    ]
+  );
+  return id;
+}
+
+export async function listShadowRuns({ mentionId = null, limit = 50 } = {}) {
+  const rows = mentionId
+    ? await all(`SELECT * FROM shadow_runs WHERE mention_id = ? ORDER BY id DESC LIMIT ?`, [mentionId, limit])
+    : await all(`SELECT * FROM shadow_runs ORDER BY id DESC LIMIT ?`, [limit]);
+  return rows.map(row => ({
+    ...row,
+    prompts: row.prompts ? JSON.parse(row.prompts) : null,
+    candidate_prompts: row.candidate_prompts ? JSON.parse(row.candidate_prompts) : null,
+    context: JSON.parse(row.context)
+  }));
+}
+
+// ============================================
+// EXPERIMENTS
+// ============================================
+
+export async function recordExperimentAssignment({ experimentId, variant, template, mentionId, replyId }) {
+  await run(
+    `INSERT INTO experiment_assignments (experiment_id, variant, template, mention_id, reply_id, posted_at)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (mention_id) DO NOTHING`,
+    [experimentId, variant, template, mentionId, replyId, new Date().toISOString()]
+  );
+}
+
+export async function updateAssignmentMetrics(replyId, metrics) {
+  await run(
+    `UPDATE experiment_assignments
+     SET like_count = ?, reply_count = ?, retweet_count = ?, quote_count = ?, engagement = ?, metrics_updated_at = ?
+     WHERE reply_id = ?`,
+    [
+      metrics.like_count || 0,
+      metrics.reply_count || 0,
+      metrics.retweet_count || 0,
+      metrics.quote_count || 0,
+      metrics.engagement,
+      new Date().toISOString(),
+      replyId
+    ]
+  );
+}
+
+export async function listExperimentAssignments(experimentId) {
+  return all(`SELECT * FROM experiment_assignments WHERE experiment_id = ? ORDER BY id`, [experimentId]);
+}
+
+// ============================================
+// REPLY ENGAGEMENT
+// ============================================
+
+export async function trackReply({ replyId, mentionId, authorId, conversationId, replyText, template }) {
+  await run(
+    `INSERT INTO tracked_replies (reply_id, mention_id, author_id, conversation_id, reply_text, template, posted_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (reply_id) DO NOTHING`,
+    [replyId, mentionId, authorId, conversationId, replyText, template, new Date().toISOString()]
+  );
+}
+
+/**
+ * Live replies posted since a time, least recently checked first
+ */
+export async function listRepliesToCheck(since) {
+  return all(
+    `SELECT * FROM tracked_replies
+     WHERE status = 'live' AND posted_at >= ?
+     ORDER BY COALESCE(checked_at, '') ASC`,
+    [since.toISOString()]
+  );
+}
+
+/**
+ * Append a snapshot and make it the reply's latest metrics
+ */
+export async function recordReplySnapshot(replyId, metrics) {
+  const now = new Date().toISOString();
+  const values = [
+    metrics.like_count || 0,
+    metrics.reply_count || 0,
+    metrics.retweet_count || 0,
+    metrics.quote_count || 0,
+    metrics.impression_count ?? null,
+    metrics.engagement
+  ];
+
+  await run(
+    `INSERT INTO reply_snapshots (reply_id, like_count, reply_count, retweet_count, quote_count, impression_count, engagement, captured_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [replyId, ...values, now]
+  );
+  await run(
+    `UPDATE tracked_replies
+     SET like_count = ?, reply_count = ?, retweet_count = ?, quote_count = ?, impression_count = ?, engagement = ?, checked_at = ?
+     WHERE reply_id = ?`,
+    [...values, now, replyId]
+  );
+}
+
+/**
+ * status: live, deleted or hidden
+ */
+export async function setReplyStatus(replyId, status, reason = null) {
+  await run(
+    `UPDATE tracked_replies SET status = ?, status_reason = ?, checked_at = ? WHERE reply_id = ?`,
+    [status, reason, new Date().toISOString(), replyId]
+  );
+}
+
+/**
+ * Store a quote tweet once. Returns false if it was already stored.
+ */
+export async function recordReplyQuote({ replyId, quoteId, authorId, text, negative, reason }) {
+  const { changes } = await run(
+    `INSERT INTO reply_quotes (reply_id, quote_id, author_id, text, negative, reason, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (quote_id) DO NOTHING`,
+    [replyId, quoteId, authorId, text, negative ? 1 : 0, reason, new Date().toISOString()]
+  );
+  if (changes > 0 && negative) {
+    await run(`UPDATE tracked_replies SET negative_quotes = negative_quotes + 1 WHERE reply_id = ?`, [replyId]);
+  }
+  return changes > 0;
+}
+
+/**
+ * Best (order 'top') or worst ('bottom') live replies by latest engagement,
+ * posted between since and before
+ */
+export async function listReplyPerformance({ since, before = new Date(), order = 'top', limit = 5 }) {
+  return all(
+    `SELECT reply_id, mention_id, author_id, reply_text, template, like_count, reply_count, retweet_count,
+            quote_count, impression_count, engagement, negative_quotes, posted_at, checked_at
+     FROM tracked_replies
+     WHERE status = 'live' AND engagement IS NOT NULL AND posted_at >= ? AND posted_at <= ?
+     ORDER BY engagement ${order === 'bottom' ? 'ASC' : 'DESC'}, posted_at DESC
+     LIMIT ?`,
+    [since.toISOString(), before.toISOString(), limit]
+  );
+}
+
+/**
+ * Replies that were deleted, hidden or drew negative quote tweets
+ */
+export async function listFlaggedReplies({ since, limit = 20 }) {
+  return all(
+    `SELECT reply_id, mention_id, author_id, reply_text, template, status, status_reason, engagement,
+            negative_quotes, posted_at, checked_at
+     FROM tracked_replies
+     WHERE posted_at >= ? AND (status != 'live' OR negative_quotes > 0)
+     ORDER BY posted_at DESC
+     LIMIT ?`,
+    [since.toISOString(), limit]
+  );
+}
+
+export async function getTrackedReply(replyId) {
+  const reply = await get(`SELECT * FROM tracked_replies WHERE reply_id = ?`, [replyId]);
+  if (!reply) return null;
+  return {
+    ...reply,
+    snapshots: await all(`SELECT * FROM reply_snapshots WHERE reply_id = ? ORDER BY captured_at`, [replyId]),
+    quotes: await all(`SELECT * FROM reply_quotes WHERE reply_id = ? ORDER BY created_at`, [replyId])
+  };
+}
+
+// ============================================
+// CONVERSATION MEMORY
+// ============================================
+
+/**
+ * role: 'user' (a mention) or 'bot' (our reply)
+ */
+export async function recordConversationTurn({ conversationId, tweetId, authorId, username, role, text, inReplyTo, createdAt }) {
+  await run(
+    `INSERT INTO conversation_turns (conversation_id, tweet_id, author_id, username, role, text, in_reply_to, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (tweet_id) DO NOTHING`,
+    [conversationId, tweetId, authorId, username, role, text, inReplyTo, createdAt]
+  );
+}
+
+/**
+ * Full transcript of a conversation, oldest first
+ */
+export async function listConversationTurns(conversationId) {
+  return all(
+    `SELECT * FROM conversation_turns WHERE conversation_id = ? ORDER BY created_at, id`,
+    [conversationId]
+  );
+}
+
+// ============================================
+// AUTHOR PROFILES
+// ============================================
+
+function parseProfile(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    topics: JSON.parse(row.topics),
+    tickers: JSON.parse(row.tickers),
+    hostile_override: row.hostile_override === null ? null : !!row.hostile_override
+  };
+}
+
+export async function getAuthorProfile(authorId) {
+  return parseProfile(await get(`SELECT * FROM author_profiles WHERE author_id = ?`, [authorId]));
+}
+
+/**
+ * Insert or replace the stored fields of a profile (topics/tickers are { name: count })
+ */
+export async function saveAuthorProfile(profile) {
+  const now = new Date().toISOString();
+  await run(
+    `INSERT INTO author_profiles (author_id, username, topics, tickers, notes, hostile_override, first_seen_at, last_seen_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (author_id) DO UPDATE SET
+       username = excluded.username, topics = excluded.topics, tickers = excluded.tickers, notes = excluded.notes,
+       hostile_override = excluded.hostile_override, last_seen_at = excluded.last_seen_at, updated_at = excluded.updated_at`,
+    [
+      profile.author_id,
+      profile.username || null,
+      JSON.stringify(profile.topics || {}),
+      JSON.stringify(profile.tickers || {}),
+      profile.notes || null,
+      profile.hostile_override === null || profile.hostile_override === undefined ? null : (profile.hostile_override ? 1 : 0),
+      profile.first_seen_at || now,
+      profile.last_seen_at || now,
+      now
+    ]
+  );
+}
+
+/**
+ * Store a mention from an author. Returns false if it was already stored
+ * (a retried job) - its classification is refreshed but nothing is counted twice.
+ */
+export async function recordAuthorInteraction({ authorId, mentionId, conversationId, text, label, action }) {
+  const { changes } = await run(
+    `INSERT INTO author_interactions (author_id, mention_id, conversation_id, text, label, action, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (mention_id) DO NOTHING`,
+    [authorId, mentionId, conversationId, text, label, action, new Date().toISOString()]
+  );
+  if (changes === 0) {
+    await run(`UPDATE author_interactions SET label = ?, action = ? WHERE mention_id = ?`, [label, action, mentionId]);
+  }
+  return changes > 0;
+}
+
+export async function setInteractionReply(mentionId, replyId) {
+  await run(`UPDATE author_interactions SET reply_id = ? WHERE mention_id = ?`, [replyId, mentionId]);
+}
+
+/**
+ * An author's mentions, newest first, with how our reply to each landed
+ */
+export async function listAuthorInteractions(authorId, limit = 20) {
+  return all(
+    `SELECT i.mention_id, i.conversation_id, i.text, i.label, i.action, i.reply_id, i.created_at,
+            r.reply_text, r.status AS reply_status, r.engagement, r.negative_quotes
+     FROM author_interactions i
+     LEFT JOIN tracked_replies r ON r.reply_id = i.reply_id
+     WHERE i.author_id = ?
+     ORDER BY i.created_at DESC, i.id DESC
+     LIMIT ?`,
+    [authorId, limit]
+  );
+}
+
+/**
+ * Mention count per moderation label, optionally leaving one mention out (the current one)
+ */
+export async function countAuthorLabels(authorId, excludeMentionId = null) {
+  const rows = await all(
+    `SELECT label, COUNT(*) AS count FROM author_interactions
+     WHERE author_id = ? AND mention_id != ?
+     GROUP BY label`,
+    [authorId, excludeMentionId || '']
+  );
+  return Object.fromEntries(rows.map(r => [r.label || 'unknown', r.count]));
+}
+
+/**
+ * How our replies to an author did: count, mean engagement, negative quotes, deleted/hidden
+ */
+export async function summarizeAuthorReplies(authorId) {
+  return get(
+    `SELECT COUNT(*) AS replies,
+            AVG(engagement) AS avg_engagement,
+            COALESCE(SUM(negative_quotes), 0) AS negative_quotes,
+            COALESCE(SUM(CASE WHEN status = 'deleted' THEN 1 ELSE 0 END), 0) AS deleted,
+            COALESCE(SUM(CASE WHEN status = 'hidden' THEN 1 ELSE 0 END), 0) AS hidden
+     FROM tracked_replies
+     WHERE author_id = ?`,
+    [authorId]
+  );
+}
+
+/**
+ * Forget an author: drop the profile and their interaction history
+ */
+export async function deleteAuthorProfile(authorId) {
+  const { changes } = await run(`DELETE FROM author_profiles WHERE author_id = ?`, [authorId]);
+  const interactions = await run(`DELETE FROM author_interactions WHERE author_id = ?`, [authorId]);
+  return changes + interactions.changes > 0;
+}
+
+// ============================================
+// REPLY TRACKING
+// ============================================
+
+export async function hasRepliedToMention(mentionId) {
+  return !!(await get(`SELECT 1 FROM replied_mentions WHERE mention_id = ?`, [mentionId]));
+}
+
+export async function getAuthorReplyCount(conversationId, authorId) {
+  const row = await get(
+    `SELECT count FROM reply_counts WHERE conversation_id = ? AND author_id = ?`,
+    [conversationId, authorId]
+  );
+  return row ? row.count : 0;
+}
+
+/**
+ * Replies to anyone in this conversation
+ */
+export async function getConversationReplyCount(conversationId) {
+  const row = await get(`SELECT COALESCE(SUM(count), 0) AS count FROM reply_counts WHERE conversation_id = ?`, [conversationId]);
+  return row.count;
+}
+
+/**
+ * Record a posted reply, returns the new count for this author in this conversation
+ */
+export async function recordRepliedMention(mentionId, conversationId, authorId) {
+  const now = new Date().toISOString();
+  const { changes } = await run(
+    `INSERT INTO replied_mentions (mention_id, conversation_id, author_id, created_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (mention_id) DO NOTHING`,
+    [mentionId, conversationId, authorId, now]
+  );
+  if (changes > 0) {
+    await run(
+      `INSERT INTO reply_counts (conversation_id, author_id, count, updated_at)
+       VALUES (?, ?, 1, ?)
+       ON CONFLICT (conversation_id, author_id) DO UPDATE SET count = reply_counts.count + 1, updated_at = excluded.updated_at`,
+      [conversationId, authorId, now]
+    );
+  }
+  return getAuthorReplyCount(conversationId, authorId);
+}
+
+/**
+ * Legacy import: a mention id with no conversation/author attached
+ */
+export async function markMentionReplied(mentionId, createdAt = new Date().toISOString()) {
+  const { changes } = await run(
+    `INSERT INTO replied_mentions (mention_id, created_at) VALUES (?, ?) ON CONFLICT (mention_id) DO NOTHING`,
+    [mentionId, createdAt]
+  );
+  return changes > 0;
+}
+
+/**
+ * Legacy import: keep the larger of the stored and imported counts (safe to re-run)
+ */
+export async function mergeReplyCount(conversationId, authorId, count) {
+  await run(
+    `INSERT INTO reply_counts (conversation_id, author_id, count, updated_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (conversation_id, author_id) DO UPDATE SET
+       count = CASE WHEN excluded.count > reply_counts.count THEN excluded.count ELSE reply_counts.count END`,
+    [conversationId, authorId, count, new Date().toISOString()]
+  );
+}
+
+// ============================================
+// ANALYTICS
+// ============================================
+
+/**
+ * type: mention | reply | error. sourceKey dedups imported events.
+ */
+export async function recordAnalyticsEvent(event) {
+  await run(
+    `INSERT INTO analytics_events
+       (type, author, user_id, mention_id, reply_id, text, cost, success, filtered, error, detail, source_key, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (source_key) DO NOTHING`,
+    [
+      event.type,
+      event.author || null,
+      event.user_id || null,
+      event.mention_id || null,
+      event.reply_id || null,
+      event.text || null,
+      event.cost ?? null,
+      event.success === undefined ? null : (event.success ? 1 : 0),
+      event.filtered === undefined ? null : (event.filtered ? 1 : 0),
+      event.error || null,
+      event.detail ? JSON.stringify(event.detail) : null,
+      event.source_key || null,
+      event.timestamp || new Date().toISOString()
+    ]
+  );
+}
+
+/**
+ * Unfiltered mentions, successful replies, errors and reply cost since a time
+ */
+export async function getAnalyticsStats(since) {
+  return get(
+    `SELECT
+       COALESCE(SUM(CASE WHEN type = 'mention' AND COALESCE(filtered, 0) = 0 THEN 1 ELSE 0 END), 0) AS mentions,
+       COALESCE(SUM(CASE WHEN type = 'reply' AND success = 1 THEN 1 ELSE 0 END), 0) AS replies,
+       COALESCE(SUM(CASE WHEN type = 'error' THEN 1 ELSE 0 END), 0) AS errors,
+       COALESCE(SUM(CASE WHEN type = 'reply' AND success = 1 THEN cost ELSE 0 END), 0) AS cost
+     FROM analytics_events
+     WHERE created_at > ?`,
+    [since.toISOString()]
+  );
+}
+
+export async function getTopRepliedAuthors(limit = 10) {
+  return all(
+    `SELECT author, COUNT(*) AS replies FROM analytics_events
+     WHERE type = 'reply' AND author IS NOT NULL
+     GROUP BY author
+     ORDER BY replies DESC
+     LIMIT ?`,
+    [limit]
+  );
+}
+
+// ============================================
+// LEGACY IMPORTS
+// ============================================
+
+export async function hasLegacyImport(file, sha256) {
+  return !!(await get(`SELECT 1 FROM legacy_imports WHERE file = ? AND sha256 = ?`, [file, sha256]));
+}
+
+export async function recordLegacyImport(file, sha256, records) {
+  await run(
+    `INSERT INTO legacy_imports (file, sha256, records, imported_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT (file, sha256) DO NOTHING`,
+    [file, sha256, records, new Date().toISOString()]
+  );
+}
+
+// ============================================
+// RESEARCH CACHE
+// ============================================
+
+function parseCacheEntry(row) {
+  if (!row) return null;
+  return { ...row, value: JSON.parse(row.value) };
+}
+
+export async function getResearchCacheEntry(cacheKey) {
+  return parseCacheEntry(await get(`SELECT * FROM research_cache WHERE cache_key = ?`, [cacheKey]));
+}
+
+/**
+ * Store (or refresh) a result - hit counts carry over a refresh
+ */
+export async function saveResearchCacheEntry({ cacheKey, kind, name, value, fetchedAt, freshUntil, staleUntil }) {
+  await run(
+    `INSERT INTO research_cache (cache_key, kind, name, value, fetched_at, fresh_until, stale_until)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (cache_key) DO UPDATE SET
+       name = excluded.name, value = excluded.value, fetched_at = excluded.fetched_at,
+       fresh_until = excluded.fresh_until, stale_until = excluded.stale_until`,
+    [cacheKey, kind, name, JSON.stringify(value ?? null), fetchedAt, freshUntil, staleUntil]
+  );
+}
+
+export async function recordResearchCacheHit(cacheKey) {
+  await run(
+    `UPDATE research_cache SET hits = hits + 1, last_hit_at = ? WHERE cache_key = ?`,
+    [new Date().toISOString(), cacheKey]
+  );
+}
+
+/**
+ * Newest first, without the cached values
+ */
+export async function listResearchCacheEntries({ kind = null, limit = 50 } = {}) {
+  const columns = 'cache_key, kind, name, hits, fetched_at, fresh_until, stale_until, last_hit_at';
+  return kind
+    ? all(`SELECT ${columns} FROM research_cache WHERE kind = ? ORDER BY fetched_at DESC LIMIT ?`, [kind, limit])
+    : all(`SELECT ${columns} FROM research_cache ORDER BY fetched_at DESC LIMIT ?`, [limit]);
+}
+
+/**
+ * Purge one entry (cacheKey), one kind, or everything. Returns how many went.
+ */
+export async function deleteResearchCacheEntries({ cacheKey = null, kind = null } = {}) {
+  let result;
+  if (cacheKey) result = await run(`DELETE FROM research_cache WHERE cache_key = ?`, [cacheKey]);
+  else if (kind) result = await run(`DELETE FROM research_cache WHERE kind = ?`, [kind]);
+  else result = await run(`DELETE FROM research_cache`);
+  return result.changes;
+}
+
+/**
+ * Drop entries too old to serve even stale
+ */
+export async function pruneResearchCache(now = new Date()) {
+  const { changes } = await run(`DELETE FROM research_cache WHERE stale_until < ?`, [now.toISOString()]);
+  return changes;
+}
+
+// ============================================
+// TWITTER QUOTA
+// ============================================
+
+/**
+ * Add one call's tweets to the period's tally for this call site
+ */
+export async function recordQuotaUsage({ period, callSite, kind, tweets }) {
+  await run(
+    `INSERT INTO twitter_quota_usage (period, call_site, kind, tweets, calls)
+     VALUES (?, ?, ?, ?, 1)
+     ON CONFLICT (period, call_site, kind) DO UPDATE SET
+       tweets = twitter_quota_usage.tweets + excluded.tweets,
+       calls = twitter_quota_usage.calls + 1`,
+    [period, callSite, kind, tweets]
+  );
+}
+
+export async function listQuotaUsage(period) {
+  return all(
+    `SELECT call_site, kind, tweets, calls FROM twitter_quota_usage WHERE period = ? ORDER BY tweets DESC`,
+    [period]
+  );
+}
+
+// ============================================
+// COSTS
+// ============================================
+
+/**
+ * One phase of one attempt at a mention (costs.js)
+ */
+export async function recordMentionCost(entry) {
+  await run(
+    `INSERT INTO mention_costs
+       (mention_id, job_id, phase, llm_calls, input_tokens, output_tokens, llm_cost,
+        twitter_calls, tweets_read, tweets_written, twitter_cost, cost, detail, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.mention_id,
+      entry.job_id ?? null,
+      entry.phase,
+      entry.llm_calls,
+      entry.input_tokens,
+      entry.output_tokens,
+      entry.llm_cost,
+      entry.twitter_calls,
+      entry.tweets_read,
+      entry.tweets_written,
+      entry.twitter_cost,
+      entry.cost,
+      entry.detail ? JSON.stringify(entry.detail) : null,
+      entry.created_at || new Date().toISOString()
+    ]
+  );
+}
+
+export async function listMentionCosts(mentionId) {
+  const rows = await all(`SELECT * FROM mention_costs WHERE mention_id = ? ORDER BY id`, [mentionId]);
+  return rows.map(row => ({ ...row, detail: row.detail ? JSON.parse(row.detail) : null }));
+}
+
+/**
+ * Spend since a time: totals, when the first entry landed, and a row per phase
+ */
+export async function summarizeCosts(since) {
+  const totals = await get(
+    `SELECT COUNT(DISTINCT mention_id) AS mentions, COALESCE(SUM(cost), 0) AS cost, MIN(created_at) AS first_at
+     FROM mention_costs WHERE created_at > ?`,
+    [since.toISOString()]
+  );
+  const phases = await all(
+    `SELECT phase,
+       COALESCE(SUM(cost), 0) AS cost,
+       COALESCE(SUM(llm_cost), 0) AS llm_cost,
+       COALESCE(SUM(twitter_cost), 0) AS twitter_cost,
+       COALESCE(SUM(llm_calls), 0) AS llm_calls,
+       COALESCE(SUM(input_tokens), 0) AS input_tokens,
+       COALESCE(SUM(output_tokens), 0) AS output_tokens,
+       COALESCE(SUM(twitter_calls), 0) AS twitter_calls,
+       COALESCE(SUM(tweets_read), 0) AS tweets_read,
+       COALESCE(SUM(tweets_written), 0) AS tweets_written
+     FROM mention_costs WHERE created_at > ?
+     GROUP BY phase`,
+    [since.toISOString()]
+  );
+  return { ...totals, phases };
+}
+
+export async function getMentionSpend(mentionId) {
+  const row = await get(`SELECT COALESCE(SUM(cost), 0) AS cost FROM mention_costs WHERE mention_id = ?`, [mentionId]);
+  return row.cost;
 }
@@ -0,0 +1,232 @@
+/**
+ * Reply Engagement Tracker
+ * Every reply we post is watched for ENGAGEMENT_WINDOW_HOURS (default 168) after posting.
+ * It's looked up once per checkpoint in ENGAGEMENT_SCHEDULE_HOURS (default 1, 6, 24, 72 and
+ * 168h after posting) - every ENGAGEMENT_INTERVAL_MS (default 1h) the live replies that have
+ * passed a checkpoint since their last check are looked up again:
+ * - public_metrics are appended to reply_snapshots (a time series per reply)
+ * - a reply the lookup no longer returns is flagged: deleted (not found) or
+ *   hidden (withheld, or no longer viewable to us)
+ * - when quote_count grows, the new quote tweets are fetched and negative ones counted
+ *
+ * Experiment assignments are scored from the same lookups.
+ *
+ * Each reply returned by a lookup is a tweet read against the monthly quota, so a reply
+ * costs one read per checkpoint (five by default) plus its quote tweets. Engagement gets
+ * ENGAGEMENT_READ_SHARE of the read cap (default 10%): a run checks at most what's left of
+ * that, and none when the cap itself is spent.
+ */
+
+import { logger } from './logger.js';
+import { keywordClassify } from './stages/stage0-mention-safety.js';
+import { forCallSite } from './twitter-client.js';
+import {
+  listRepliesToCheck,
+  recordReplySnapshot,
+  setReplyStatus,
+  recordReplyQuote,
+  listReplyPerformance,
+  listFlaggedReplies,
+  getTrackedReply,
+  updateAssignmentMetrics
+} from './db.js';
+
+const INTERVAL = parseInt(process.env.ENGAGEMENT_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const WINDOW_HOURS = parseInt(process.env.ENGAGEMENT_WINDOW_HOURS || '168', 10);
+const SCHEDULE_HOURS = (process.env.ENGAGEMENT_SCHEDULE_HOURS || '1,6,24,72,168')
+  .split(',').map(Number).filter(h => h > 0 && h <= WINDOW_HOURS).sort((a, b) => a - b);
+const READ_SHARE = parseFloat(process.env.ENGAGEMENT_READ_SHARE || '0.1');
+const CALL_SITE = 'engagement';
+const HOUR = 60 * 60 * 1000;
+const SETTLE_HOURS = 24; // younger replies haven't had time to underperform
+const LOOKUP_BATCH = 100; // tweets lookup takes up to 100 ids
+const NOT_FOUND = 'https://api.twitter.com/2/problems/resource-not-found';
+
+// Reactions that mean the reply landed badly (abusive quotes count too)
+const NEGATIVE_QUOTE_PATTERNS = [
+  /\b(so |dead )?wrong\b/i, /\bbad take\b/i, /\bcringe\b/i, /\bembarrassing\b/i, /\bnonsense\b/i,
+  /\bmislead(ing)?\b/i, /\bmisinformation\b/i, /\bhallucinat/i, /\b(ai|bot) slop\b/i, /\bclueless\b/i,
+  /\blol no\b/i, /\bratio\b/i, /\bgarbage\b/i, /\btrash\b/i, /\bworst\b/i, /\bblock(ed)? (this|the) bot\b/i
+];
+
+export function engagementScore(metrics = {}) {
+  return (metrics.like_count || 0) + (metrics.reply_count || 0) + (metrics.retweet_count || 0) + (metrics.quote_count || 0);
+}
+
+/**
+ * Does a quote tweet of our reply read as negative?
+ */
+export function classifyQuote(text = '') {
+  const moderation = keywordClassify(text);
+  if (moderation.label === 'abusive') return { negative: true, reason: moderation.reason };
+
+  const hit = NEGATIVE_QUOTE_PATTERNS.find(p => p.test(text));
+  return hit ? { negative: true, reason: `Matched ${hit}` } : { negative: false, reason: null };
+}
+
+/**
+ * Status for a reply the lookup didn't return, from its entry in lookup.errors
+ */
+function missingStatus(error) {
+  if (!error || error.type === NOT_FOUND) return { status: 'deleted', reason: error?.detail || 'Not returned by lookup' };
+  return { status: 'hidden', reason: error.detail || error.title || 'Not viewable' };
+}
+
+/**
+ * Has the reply passed a checkpoint since it was last looked up?
+ */
+export function isDue(reply, now = Date.now(), schedule = SCHEDULE_HOURS) {
+  const postedAt = Date.parse(reply.posted_at);
+  const reached = schedule.filter(h => postedAt + h * HOUR <= now);
+  if (reached.length === 0) return false;
+  const checkpoint = postedAt + reached[reached.length - 1] * HOUR;
+  return !reply.checked_at || Date.parse(reply.checked_at) < checkpoint;
+}
+
+export function createEngagementTracker({ v2Client, quota = null, readShare = READ_SHARE }) {
+  const client = forCallSite(v2Client, CALL_SITE, 'research');
+  const stats = { runs: 0, snapshots: 0, deleted: 0, hidden: 0, negativeQuotes: 0, skipped: 0, lastRunAt: null };
+  let timer = null;
+  let checking = false;
+  let overBudget = false;
+
+  /**
+   * How many tweets this run may read: what's left of engagement's share of the read cap,
+   * or of the cap itself if that's closer. Infinity when uncapped.
+   */
+  async function readAllowance() {
+    if (!quota) return Infinity;
+    const { reads, call_sites: sites } = await quota.report();
+    if (!reads.cap) return Infinity;
+    const spent = sites[CALL_SITE]?.reads || 0;
+    return Math.max(0, Math.min(Math.floor(reads.cap * readShare) - spent, reads.cap - reads.used));
+  }
+
+  async function checkQuotes(reply) {
+    const quotes = await client.get(`tweets/${reply.reply_id}/quote_tweets`, {
+      max_results: 100,
+      'tweet.fields': 'author_id,created_at'
+    });
+
+    for (const quote of quotes.data || []) {
+      const { negative, reason } = classifyQuote(quote.text);
+      const added = await recordReplyQuote({
+        replyId: reply.reply_id,
+        quoteId: quote.id,
+        authorId: quote.author_id,
+        text: quote.text,
+        negative,
+        reason
+      });
+      if (added && negative) {
+        stats.negativeQuotes++;
+        logger.warn(`Negative quote tweet on reply ${reply.reply_id}`, { quote_id: quote.id, reason });
+      }
+    }
+  }
+
+  async function checkBatch(replies) {
+    const lookup = await client.get('tweets', {
+      ids: replies.map(r => r.reply_id).join(','),
+      'tweet.fields': 'public_metrics,withheld'
+    });
+    const found = new Map((lookup.data || []).map(t => [t.id, t]));
+    const errors = new Map((lookup.errors || []).map(e => [e.resource_id || e.value, e]));
+
+    for (const reply of replies) {
+      const tweet = found.get(reply.reply_id);
+
+      if (!tweet || tweet.withheld) {
+        const { status, reason } = tweet
+          ? { status: 'hidden', reason: `Withheld in ${(tweet.withheld.country_codes || []).join(', ') || 'some countries'}` }
+          : missingStatus(errors.get(reply.reply_id));
+        await setReplyStatus(reply.reply_id, status, reason);
+        stats[status]++;
+        logger.warn(`Reply ${reply.reply_id} is ${status}`, { reason });
+        continue;
+      }
+
+      const metrics = tweet.public_metrics || {};
+      const engagement = engagementScore(metrics);
+      await recordReplySnapshot(reply.reply_id, { ...metrics, engagement });
+      await updateAssignmentMetrics(reply.reply_id, { ...metrics, engagement });
+      stats.snapshots++;
+
+      if ((metrics.quote_count || 0) > (reply.quote_count || 0)) {
+        try {
+          await checkQuotes(reply);
+        } catch (error) {
+          logger.warn(`Quote tweet lookup failed for ${reply.reply_id}`, { error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Snapshot the live replies that are due, within the read allowance. Returns how many
+   * were checked.
+   */
+  async function refresh() {
+    if (checking) return 0;
+    checking = true;
+    try {
+      const now = Date.now();
+      const due = (await listRepliesToCheck(new Date(now - WINDOW_HOURS * HOUR))).filter(r => isDue(r, now));
+
+      // Least recently checked first, so the ones left over go first next run
+      const allowance = due.length > 0 ? await readAllowance() : 0;
+      const replies = due.slice(0, allowance);
+      if (replies.length < due.length) {
+        stats.skipped += due.length - replies.length;
+        if (!overBudget) logger.warn(`Engagement read budget spent - ${due.length - replies.length} replies not checked`, { allowance });
+      }
+      overBudget = replies.length < due.length;
+
+      for (let i = 0; i < replies.length; i += LOOKUP_BATCH) {
+        await checkBatch(replies.slice(i, i + LOOKUP_BATCH));
+      }
+
+      stats.runs++;
+      stats.lastRunAt = new Date().toISOString();
+      if (replies.length > 0) logger.info(`Refreshed engagement for ${replies.length} replies`);
+      return replies.length;
+    } catch (error) {
+      logger.warn('Engagement refresh failed', { error: error.message });
+      return 0;
+    } finally {
+      checking = false;
+    }
+  }
+
+  /**
+   * Top and bottom replies in the window, plus flagged ones.
+   * Bottom only ranks replies older than SETTLE_HOURS.
+   */
+  async function report({ limit = 5 } = {}) {
+    const now = Date.now();
+    const since = new Date(now - WINDOW_HOURS * HOUR);
+    return {
+      window_hours: WINDOW_HOURS,
+      top: await listReplyPerformance({ since, order: 'top', limit }),
+      bottom: await listReplyPerformance({ since, before: new Date(now - SETTLE_HOURS * HOUR), order: 'bottom', limit }),
+      flagged: await listFlaggedReplies({ since, limit })
+    };
+  }
+
+  return {
+    refresh,
+    report,
+    reply: getTrackedReply,
+    stats,
+
+    start() {
+      timer = setInterval(refresh, INTERVAL);
+      setImmediate(refresh);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    }
+  };
+}
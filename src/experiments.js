@@ -0,0 +1,165 @@
+/**
+ * Prompt Experiments (A/B)
+ * config/experiments.json (EXPERIMENTS_FILE) lists experiments; the first enabled one
+ * splits mentions across its variants (prompt templates). Assignment is a hash of
+ * experiment id + mention id, so retries and restarts keep a mention in its variant.
+ *
+ * Each posted reply is recorded with its variant. The engagement tracker (engagement.js)
+ * scores it while it re-reads the reply's public_metrics after posting;
+ * engagement = likes + replies + retweets + quotes.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from './config.js';
+import { logger } from './logger.js';
+import {
+  recordExperimentAssignment,
+  listExperimentAssignments
+} from './db.js';
+
+const DEFAULT_EXPERIMENTS_FILE = path.join(CONFIG_DIR, 'experiments.json');
+const MIN_SAMPLE = 10;
+
+/**
+ * Deterministic weighted pick: same experiment + mention → same variant
+ */
+export function assignVariant(experiment, mentionId) {
+  const digest = crypto.createHash('sha256').update(`${experiment.id}:${mentionId}`).digest();
+  const totalWeight = experiment.variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+  let point = (digest.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  for (const variant of experiment.variants) {
+    point -= variant.weight ?? 1;
+    if (point < 0) return variant;
+  }
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+function summarize(values) {
+  const n = values.length;
+  if (n === 0) return { n, mean: null, stddev: null };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return { n, mean, stddev: Math.sqrt(variance) };
+}
+
+// Abramowitz & Stegun 7.1.26 - plenty for a p-value estimate
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Welch's test of a variant against the control, two-sided, normal approximation
+ */
+export function compareToControl(control, variant) {
+  if (control.n < 2 || variant.n < 2) return null;
+
+  const se = Math.sqrt(control.stddev ** 2 / control.n + variant.stddev ** 2 / variant.n);
+  const diff = variant.mean - control.mean;
+  if (se === 0) {
+    return { diff, lift: null, z: null, p_value: diff === 0 ? 1 : 0, significant: diff !== 0 };
+  }
+
+  const z = diff / se;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  return {
+    diff,
+    lift: control.mean > 0 ? diff / control.mean : null,
+    z,
+    p_value: pValue,
+    significant: pValue < 0.05 && control.n >= MIN_SAMPLE && variant.n >= MIN_SAMPLE
+  };
+}
+
+function validateExperiments(config) {
+  for (const experiment of config.experiments || []) {
+    if (!experiment.id) throw new Error('Every experiment needs an id');
+    if (!Array.isArray(experiment.variants) || experiment.variants.length < 2) {
+      throw new Error(`Experiment ${experiment.id} needs at least two variants`);
+    }
+    for (const variant of experiment.variants) {
+      if (!variant.name || !variant.template) {
+        throw new Error(`Experiment ${experiment.id} has a variant without name/template`);
+      }
+    }
+  }
+  return config;
+}
+
+export function createExperiments({ prompts, file = process.env.EXPERIMENTS_FILE || DEFAULT_EXPERIMENTS_FILE }) {
+  const currentConfig = watchedConfig(file, { label: 'EXPERIMENTS', validate: validateExperiments });
+
+  function activeExperiment() {
+    return (currentConfig().experiments || []).find(e => e.enabled) || null;
+  }
+
+  /**
+   * Variant for a mention, or null when no experiment is running.
+   * A variant whose template is missing is skipped (the active template is used).
+   */
+  function assign(mention) {
+    const experiment = activeExperiment();
+    if (!experiment) return null;
+
+    const variant = assignVariant(experiment, mention.id);
+    try {
+      prompts.template(variant.template);
+    } catch (e) {
+      logger.warn(`Experiment ${experiment.id} variant ${variant.name} unusable`, { error: e.message });
+      return null;
+    }
+    return { experimentId: experiment.id, variant: variant.name, template: variant.template };
+  }
+
+  async function recordPost(mention, assignment, replyId) {
+    if (!assignment) return;
+    await recordExperimentAssignment({ ...assignment, mentionId: mention.id, replyId });
+    console.log(`[EXPERIMENT] ${assignment.experimentId}: ${assignment.variant} (${assignment.template})`);
+  }
+
+  /**
+   * Per-variant sample size and mean engagement, each variant tested against the first
+   */
+  async function results() {
+    const experiments = [];
+    for (const experiment of currentConfig().experiments || []) {
+      const rows = await listExperimentAssignments(experiment.id);
+
+      const variants = experiment.variants.map(variant => {
+        const assigned = rows.filter(r => r.variant === variant.name);
+        const scored = assigned.filter(r => r.engagement !== null);
+        return {
+          name: variant.name,
+          template: variant.template,
+          posted: assigned.length,
+          ...summarize(scored.map(r => r.engagement))
+        };
+      });
+
+      const control = variants[0];
+      for (const variant of variants.slice(1)) {
+        variant.vs_control = compareToControl(control, variant);
+      }
+
+      experiments.push({
+        id: experiment.id,
+        description: experiment.description || '',
+        enabled: !!experiment.enabled,
+        control: control.name,
+        variants
+      });
+    }
+    return experiments;
+  }
+
+  return {
+    assign,
+    recordPost,
+    results,
+    active: activeExperiment
+  };
+}
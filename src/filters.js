@@ -1,35 +1,8 @@
 /**
- * Filters - Determine if we should reply to a mention
+ * Filters - Mention context helpers
+ * (Reply eligibility lives in policy.js, driven by config/reply-policy.json)
  */
 
-/**
- * Check if mention passes all filters
- */
-export function shouldReplyTo(mention) {
-  // Filter 1: Must be from verified account
-  if (!mention.user.verified) {
-    return false;
-  }
-
-  // Filter 2: Must mention @graisonbot
-  if (!mention.text.toLowerCase().includes('@graisonbot')) {
-    return false;
-  }
-
-  // Filter 3: Skip retweets
-  if (mention.text.startsWith('RT @')) {
-    return false;
-  }
-
-  // Filter 4: Skip if it's a reply to someone else (we want original mentions)
-  if (mention.in_reply_to_screen_name && mention.in_reply_to_screen_name !== 'graisonbot') {
-    return false;
-  }
-
-  // All filters passed
-  return true;
-}
-
 /**
  * Extract context from mention for better reply generation
  */
@@ -0,0 +1,130 @@
+/**
+ * Legacy State Import
+ * Before everything lived in the database, state was kept in files:
+ * - replied-tracking.json       { "conversation_id:author_id": reply count }
+ * - replied-mention-ids.json    [mention id, ...]
+ * - conversation-memory.jsonl   last exchange per author per conversation
+ * - analytics.jsonl             mention / reply / error events
+ *
+ * importLegacyFiles() loads whichever of them it finds. Re-running is safe: a file
+ * whose contents were already imported is skipped, and every record is keyed so a
+ * changed file only adds what's new.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  mergeReplyCount,
+  markMentionReplied,
+  recordConversationTurn,
+  recordAnalyticsEvent,
+  hasLegacyImport,
+  recordLegacyImport
+} from './db.js';
+
+function parseJsonl(raw) {
+  return raw.split('\n').filter(l => l.trim()).map(line => JSON.parse(line));
+}
+
+const IMPORTERS = {
+  async 'replied-tracking.json'(raw) {
+    const counts = JSON.parse(raw);
+    for (const [key, count] of Object.entries(counts)) {
+      const [conversationId, authorId] = key.split(':');
+      await mergeReplyCount(conversationId, authorId, count);
+    }
+    return Object.keys(counts).length;
+  },
+
+  async 'replied-mention-ids.json'(raw) {
+    const ids = JSON.parse(raw);
+    for (const id of ids) {
+      await markMentionReplied(String(id));
+    }
+    return ids.length;
+  },
+
+  // Only the last mention and reply were kept - they become a two-turn transcript
+  async 'conversation-memory.jsonl'(raw) {
+    const entries = parseJsonl(raw);
+    for (const entry of entries) {
+      const mentionKey = `legacy:${entry.conversation_id}:${entry.author_id}:mention`;
+      await recordConversationTurn({
+        conversationId: entry.conversation_id,
+        tweetId: mentionKey,
+        authorId: entry.author_id,
+        username: null,
+        role: 'user',
+        text: entry.last_mention || '',
+        inReplyTo: null,
+        createdAt: entry.last_reply_time
+      });
+      await recordConversationTurn({
+        conversationId: entry.conversation_id,
+        tweetId: `legacy:${entry.conversation_id}:${entry.author_id}:reply`,
+        authorId: null,
+        username: null,
+        role: 'bot',
+        text: entry.last_reply || '',
+        inReplyTo: mentionKey,
+        createdAt: entry.last_reply_time
+      });
+    }
+    return entries.length;
+  },
+
+  async 'analytics.jsonl'(raw) {
+    const lines = raw.split('\n').filter(l => l.trim());
+    for (const line of lines) {
+      const { timestamp, type, author, user_id, mention_id, reply_id, reply_text, text, cost, success, filtered, error, ...rest } = JSON.parse(line);
+      await recordAnalyticsEvent({
+        type,
+        author,
+        user_id,
+        mention_id,
+        reply_id,
+        text: reply_text || text,
+        cost,
+        success,
+        filtered,
+        error,
+        detail: Object.keys(rest).length ? rest : null,
+        source_key: crypto.createHash('sha256').update(line).digest('hex'),
+        timestamp
+      });
+    }
+    return lines.length;
+  }
+};
+
+export const LEGACY_FILES = Object.keys(IMPORTERS);
+
+/**
+ * Import legacy files found in dirs (first match per file name wins).
+ * Returns one result per file: { file, path, records } or { file, skipped }.
+ */
+export async function importLegacyFiles(dirs) {
+  const results = [];
+
+  for (const file of LEGACY_FILES) {
+    const found = dirs.map(dir => path.join(dir, file)).find(f => fs.existsSync(f));
+    if (!found) {
+      results.push({ file, skipped: 'not found' });
+      continue;
+    }
+
+    const raw = fs.readFileSync(found, 'utf8');
+    const sha256 = crypto.createHash('sha256').update(raw).digest('hex');
+    if (await hasLegacyImport(file, sha256)) {
+      results.push({ file, path: found, skipped: 'already imported' });
+      continue;
+    }
+
+    const records = raw.trim() ? await IMPORTERS[file](raw) : 0;
+    await recordLegacyImport(file, sha256, records);
+    results.push({ file, path: found, records });
+  }
+
+  return results;
+}
@@ -0,0 +1,397 @@
+/**
+ * Database Migrations
+ * Versioned schema changes, applied in order by db.js at startup. Each runs in a
+ * transaction and is recorded in schema_migrations, so it runs once per database.
+ *
+ * Never edit a migration that has shipped - add a new one.
+ */
+
+// The schema as it stood before migrations were versioned. Databases from back then
+// already have some of it, so every statement only creates what's missing.
+const BASELINE_TABLES = [
+  `
+    CREATE TABLE IF NOT EXISTS mentions (
+      id INTEGER PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      tweet_id TEXT NOT NULL,
+      reply_text TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_user_id ON mentions(user_id)`,
+  // Durable mention queue - one row per mention, survives restarts
+  `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY,
+      mention_id TEXT NOT NULL UNIQUE,
+      source TEXT,
+      payload TEXT NOT NULL,
+      state TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      context TEXT,
+      reply_text TEXT,
+      reply_id TEXT,
+      next_attempt_at TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs(state, next_attempt_at)`,
+  // Ingestion cursors (e.g. the polling since_id) so restarts resume where we stopped
+  `
+    CREATE TABLE IF NOT EXISTS cursors (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  // Why each mention was allowed or blocked by the reply policy
+  `
+    CREATE TABLE IF NOT EXISTS policy_decisions (
+      id INTEGER PRIMARY KEY,
+      mention_id TEXT NOT NULL,
+      author_id TEXT,
+      allowed INTEGER NOT NULL,
+      rule_id TEXT,
+      reason TEXT,
+      trace TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_policy_decisions_mention ON policy_decisions(mention_id)`,
+  // How each mention was classified before composing (abusive / spam / bait / genuine)
+  `
+    CREATE TABLE IF NOT EXISTS moderation_decisions (
+      id INTEGER PRIMARY KEY,
+      mention_id TEXT NOT NULL,
+      author_id TEXT,
+      label TEXT NOT NULL,
+      action TEXT NOT NULL,
+      confidence REAL,
+      reason TEXT,
+      classifier TEXT,
+      created_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_moderation_author ON moderation_decisions(author_id)`,
+  // Replies held for human approval, with the research they were written from
+  `
+    CREATE TABLE IF NOT EXISTS drafts (
+      id INTEGER PRIMARY KEY,
+      job_id INTEGER NOT NULL,
+      mention_id TEXT NOT NULL,
+      author_id TEXT,
+      mention_text TEXT,
+      draft_text TEXT NOT NULL,
+      final_text TEXT,
+      context TEXT,
+      flags TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      reviewer_note TEXT,
+      created_at TEXT NOT NULL,
+      decided_at TEXT
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_drafts_status ON drafts(status)`,
+  // Shadow mode - would-be replies (and candidate prompt output) that were never posted
+  `
+    CREATE TABLE IF NOT EXISTS shadow_runs (
+      id INTEGER PRIMARY KEY,
+      job_id INTEGER,
+      mention_id TEXT NOT NULL,
+      mode TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      reply_text TEXT,
+      reply_id TEXT,
+      prompts TEXT,
+      candidate_text TEXT,
+      candidate_prompts TEXT,
+      candidate_error TEXT,
+      context TEXT,
+      created_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_shadow_mention ON shadow_runs(mention_id)`,
+  // A/B experiments - which variant wrote each posted reply, and how it landed
+  `
+    CREATE TABLE IF NOT EXISTS experiment_assignments (
+      id INTEGER PRIMARY KEY,
+      experiment_id TEXT NOT NULL,
+      variant TEXT NOT NULL,
+      template TEXT NOT NULL,
+      mention_id TEXT NOT NULL UNIQUE,
+      reply_id TEXT NOT NULL,
+      like_count INTEGER,
+      reply_count INTEGER,
+      retweet_count INTEGER,
+      quote_count INTEGER,
+      engagement INTEGER,
+      posted_at TEXT NOT NULL,
+      metrics_updated_at TEXT
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_assignments_experiment ON experiment_assignments(experiment_id)`,
+  // Posted replies we keep watching after publication (latest metrics + status)
+  `
+    CREATE TABLE IF NOT EXISTS tracked_replies (
+      id INTEGER PRIMARY KEY,
+      reply_id TEXT NOT NULL UNIQUE,
+      mention_id TEXT NOT NULL,
+      author_id TEXT,
+      conversation_id TEXT,
+      reply_text TEXT NOT NULL,
+      template TEXT,
+      status TEXT NOT NULL DEFAULT 'live',
+      status_reason TEXT,
+      like_count INTEGER,
+      reply_count INTEGER,
+      retweet_count INTEGER,
+      quote_count INTEGER,
+      impression_count INTEGER,
+      engagement INTEGER,
+      negative_quotes INTEGER NOT NULL DEFAULT 0,
+      posted_at TEXT NOT NULL,
+      checked_at TEXT
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_tracked_replies_posted ON tracked_replies(status, posted_at)`,
+  // Time series of public_metrics per reply
+  `
+    CREATE TABLE IF NOT EXISTS reply_snapshots (
+      id INTEGER PRIMARY KEY,
+      reply_id TEXT NOT NULL,
+      like_count INTEGER NOT NULL,
+      reply_count INTEGER NOT NULL,
+      retweet_count INTEGER NOT NULL,
+      quote_count INTEGER NOT NULL,
+      impression_count INTEGER,
+      engagement INTEGER NOT NULL,
+      captured_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_reply_snapshots_reply ON reply_snapshots(reply_id, captured_at)`,
+  // Quote tweets of our replies, with whether they read as negative
+  `
+    CREATE TABLE IF NOT EXISTS reply_quotes (
+      id INTEGER PRIMARY KEY,
+      reply_id TEXT NOT NULL,
+      quote_id TEXT NOT NULL UNIQUE,
+      author_id TEXT,
+      text TEXT,
+      negative INTEGER NOT NULL DEFAULT 0,
+      reason TEXT,
+      created_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_reply_quotes_reply ON reply_quotes(reply_id)`,
+  // Conversation memory - every mention we answered and our reply, per conversation
+  `
+    CREATE TABLE IF NOT EXISTS conversation_turns (
+      id INTEGER PRIMARY KEY,
+      conversation_id TEXT NOT NULL,
+      tweet_id TEXT NOT NULL UNIQUE,
+      author_id TEXT,
+      username TEXT,
+      role TEXT NOT NULL,
+      text TEXT NOT NULL,
+      in_reply_to TEXT,
+      created_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_conversation_turns ON conversation_turns(conversation_id, created_at)`,
+  // Long-term memory of people: what they talk about, plus operator notes
+  `
+    CREATE TABLE IF NOT EXISTS author_profiles (
+      author_id TEXT PRIMARY KEY,
+      username TEXT,
+      topics TEXT NOT NULL DEFAULT '{}',
+      tickers TEXT NOT NULL DEFAULT '{}',
+      notes TEXT,
+      hostile_override INTEGER,
+      first_seen_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `,
+  // Every mention an author sent us, how it was classified and what we replied
+  `
+    CREATE TABLE IF NOT EXISTS author_interactions (
+      id INTEGER PRIMARY KEY,
+      author_id TEXT NOT NULL,
+      mention_id TEXT NOT NULL UNIQUE,
+      conversation_id TEXT,
+      text TEXT,
+      label TEXT,
+      action TEXT,
+      reply_id TEXT,
+      created_at TEXT NOT NULL
+    )
+  `,
+  `CREATE INDEX IF NOT EXISTS idx_author_interactions ON author_interactions(author_id, created_at)`
+];
+
+// Columns added after a table first shipped - CREATE TABLE IF NOT EXISTS won't add them
+const BASELINE_COLUMNS = [
+  ['jobs', 'moderation_override', 'INTEGER NOT NULL DEFAULT 0'],
+  ['jobs', 'approved', 'INTEGER NOT NULL DEFAULT 0'],
+  ['jobs', 'reply_template', 'TEXT'],
+  ['mentions', 'template', 'TEXT']
+];
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    async up({ run, ensureColumn }) {
+      // In order, so indexes come after their tables
+      for (const sql of BASELINE_TABLES) {
+        await run(sql);
+      }
+      for (const [table, column, definition] of BASELINE_COLUMNS) {
+        await ensureColumn(table, column, definition);
+      }
+    }
+  },
+  {
+    // Was data/replied-tracking.json + data/replied-mention-ids.json
+    version: 2,
+    name: 'reply-tracking',
+    async up({ run }) {
+      await run(`
+        CREATE TABLE replied_mentions (
+          mention_id TEXT PRIMARY KEY,
+          conversation_id TEXT,
+          author_id TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+      await run(`
+        CREATE TABLE reply_counts (
+          conversation_id TEXT NOT NULL,
+          author_id TEXT NOT NULL,
+          count INTEGER NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (conversation_id, author_id)
+        )
+      `);
+    }
+  },
+  {
+    // Was analytics.jsonl
+    version: 3,
+    name: 'analytics-events',
+    async up({ run }) {
+      await run(`
+        CREATE TABLE analytics_events (
+          id INTEGER PRIMARY KEY,
+          type TEXT NOT NULL,
+          author TEXT,
+          user_id TEXT,
+          mention_id TEXT,
+          reply_id TEXT,
+          text TEXT,
+          cost REAL,
+          success INTEGER,
+          filtered INTEGER,
+          error TEXT,
+          detail TEXT,
+          source_key TEXT UNIQUE,
+          created_at TEXT NOT NULL
+        )
+      `);
+      await run(`CREATE INDEX idx_analytics_events ON analytics_events(type, created_at)`);
+    }
+  },
+  {
+    // Which legacy state files were imported (legacy-import.js)
+    version: 4,
+    name: 'legacy-imports',
+    async up({ run }) {
+      await run(`
+        CREATE TABLE legacy_imports (
+          file TEXT NOT NULL,
+          sha256 TEXT NOT NULL,
+          records INTEGER NOT NULL,
+          imported_at TEXT NOT NULL,
+          PRIMARY KEY (file, sha256)
+        )
+      `);
+    }
+  },
+  {
+    // Topic/ticker research shared across mentions (research-cache.js)
+    version: 5,
+    name: 'research-cache',
+    async up({ run }) {
+      await run(`
+        CREATE TABLE research_cache (
+          cache_key TEXT PRIMARY KEY,
+          kind TEXT NOT NULL,
+          name TEXT NOT NULL,
+          value TEXT,
+          hits INTEGER NOT NULL DEFAULT 0,
+          fetched_at TEXT NOT NULL,
+          fresh_until TEXT NOT NULL,
+          stale_until TEXT NOT NULL,
+          last_hit_at TEXT
+        )
+      `);
+      await run(`CREATE INDEX idx_research_cache_kind ON research_cache(kind, fetched_at)`);
+    }
+  },
+  {
+    // Tweets read/written per quota month and call site (quota.js)
+    version: 6,
+    name: 'twitter-quota',
+    async up({ run }) {
+      await run(`
+        CREATE TABLE twitter_quota_usage (
+          period TEXT NOT NULL,
+          call_site TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          tweets INTEGER NOT NULL DEFAULT 0,
+          calls INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (period, call_site, kind)
+        )
+      `);
+    }
+  },
+  {
+    // Measured spend per mention, attempt and phase (costs.js)
+    version: 7,
+    name: 'mention-costs',
+    async up({ run }) {
+      await run(`
+        CREATE TABLE mention_costs (
+          id INTEGER PRIMARY KEY,
+          mention_id TEXT NOT NULL,
+          job_id INTEGER,
+          phase TEXT NOT NULL,
+          llm_calls INTEGER NOT NULL DEFAULT 0,
+          input_tokens INTEGER NOT NULL DEFAULT 0,
+          output_tokens INTEGER NOT NULL DEFAULT 0,
+          llm_cost REAL NOT NULL DEFAULT 0,
+          twitter_calls INTEGER NOT NULL DEFAULT 0,
+          tweets_read INTEGER NOT NULL DEFAULT 0,
+          tweets_written INTEGER NOT NULL DEFAULT 0,
+          twitter_cost REAL NOT NULL DEFAULT 0,
+          cost REAL NOT NULL DEFAULT 0,
+          detail TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+      await run(`CREATE INDEX idx_mention_costs_created ON mention_costs(created_at)`);
+      await run(`CREATE INDEX idx_mention_costs_mention ON mention_costs(mention_id)`);
+    }
+  },
+  {
+    // The experiment variant a job's reply was composed under, so approval can record it
+    version: 8,
+    name: 'job-experiment',
+    async up({ run }) {
+      await run(`ALTER TABLE jobs ADD COLUMN experiment TEXT`);
+    }
+  }
+];
@@ -0,0 +1,225 @@
+/**
+ * Page Fetcher
+ * Title, description and a short summary of a linked page, for link context in stage 2
+ * (stage2-linked-context.js) when Twitter's own card data doesn't describe the link.
+ *
+ * createPageFetcher takes any fetch-compatible function. By default it calls the global
+ * fetch at request time, so the replay harness's recorded pages stand in for the network
+ * and link context replays offline like everything else.
+ *
+ * - PAGE_FETCH_TIMEOUT_MS (default 5s) per page; at most PAGE_FETCH_MAX_BYTES (default 500KB)
+ *   is downloaded - larger pages are cut off mid-stream, or refused up front when their
+ *   content-length says so
+ * - HTML only: og:/twitter: meta tags, then <title>, then the first paragraphs
+ * - a link we can't read just goes without a summary: refused, non-HTML, too large or
+ *   error pages return null; network errors, timeouts and 429/5xx answers throw, as they
+ *   may work next time and the research cache shouldn't remember them
+ *
+ * Links come from strangers' tweets, so only public http(s) hosts are fetched: the host is
+ * resolved first and loopback, private, link-local (cloud metadata) and other reserved
+ * addresses are refused. Redirects are followed by hand (up to MAX_REDIRECTS), checking
+ * every hop the same way. fetch resolves the host again when it connects, so requests go
+ * through an agent whose lookup checks that answer too - a host that re-resolves to a
+ * private address after passing the check (DNS rebinding) fails to connect.
+ */
+
+import dns from 'dns';
+import net from 'net';
+import { Agent } from 'undici';
+import { logger } from './logger.js';
+
+const TIMEOUT_MS = parseInt(process.env.PAGE_FETCH_TIMEOUT_MS || '5000', 10);
+const MAX_BYTES = parseInt(process.env.PAGE_FETCH_MAX_BYTES || String(500 * 1024), 10);
+const SUMMARY_CHARS = 300;
+const USER_AGENT = 'Mozilla/5.0 (compatible; graisonbot-link-preview/1.0)';
+const MAX_REDIRECTS = 3;
+const BLOCKED_CODE = 'ERR_BLOCKED_ADDRESS';
+
+// Addresses a link must not make us request
+const BLOCKED = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv4');
+// ::/96 covers :: and ::1 as well as IPv4-compatible addresses; 2002::/16 is 6to4, which
+// embeds an IPv4 address too
+for (const [prefix, bits] of [
+  ['::', 96], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) BLOCKED.addSubnet(prefix, bits, 'ipv6');
+
+/**
+ * True for addresses outside the public internet (IPv4-mapped IPv6 checked as IPv4)
+ */
+export function isBlockedAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return BLOCKED.check(mapped, 'ipv4');
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup for the connection itself, failing if any address it returns is blocked
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (!blocked) return callback(null, address, family);
+    const refused = new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+    refused.code = BLOCKED_CODE;
+    callback(refused);
+  });
+}
+
+const PUBLIC_ONLY = new Agent({ connect: { lookup: publicLookup } });
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&(\w+);/g, (m, name) => ENTITIES[name.toLowerCase()] ?? m);
+}
+
+function clean(text) {
+  return decodeEntities(text.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function metaContent(html, names) {
+  for (const name of names) {
+    const tag = html.match(new RegExp(`<meta[^>]+(?:property|name)=["']${name}["'][^>]*>`, 'i'))?.[0];
+    const content = tag?.match(/content=["']([^"']*)["']/i)?.[1];
+    if (content?.trim()) return clean(content);
+  }
+  return null;
+}
+
+/**
+ * { title, description, summary } from a page's HTML
+ */
+export function summarizePage(html) {
+  const body = html
+    .replace(/<(script|style|noscript|nav|header|footer|aside)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ');
+
+  const titleTag = body.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  const title = metaContent(body, ['og:title', 'twitter:title']) || (titleTag ? clean(titleTag) : null);
+  const description = metaContent(body, ['og:description', 'twitter:description', 'description']);
+
+  const paragraphs = [...body.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(m => clean(m[1]))
+    .filter(p => p.length >= 40);
+  let summary = '';
+  for (const paragraph of paragraphs) {
+    summary = summary ? `${summary} ${paragraph}` : paragraph;
+    if (summary.length >= SUMMARY_CHARS) break;
+  }
+  summary = summary.length > SUMMARY_CHARS ? `${summary.substring(0, SUMMARY_CHARS - 3)}...` : summary;
+
+  return { title: title || null, description: description || null, summary: summary || description || null };
+}
+
+/**
+ * Read at most maxBytes of a response body, cancelling the download past that
+ */
+async function readText(res, maxBytes) {
+  if (!res.body?.getReader) return (await res.text()).substring(0, maxBytes);
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  if (size >= maxBytes) await reader.cancel().catch(() => {});
+
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+export function createPageFetcher({
+  fetch = (...args) => globalThis.fetch(...args),
+  lookup = (host) => dns.promises.lookup(host, { all: true }),
+  timeoutMs = TIMEOUT_MS,
+  maxBytes = MAX_BYTES
+} = {}) {
+  /**
+   * Why a URL may not be fetched, or null if it may
+   */
+  async function refusal(url) {
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return `${url.protocol} links aren't fetched`;
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await lookup(host);
+    if (addresses.length === 0) return `${host} does not resolve`;
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    return blocked ? `${host} resolves to non-public address ${blocked.address}` : null;
+  }
+
+  /**
+   * { url, title, description, summary } for a page, or null if it can't be read.
+   * Throws when it might be readable later (network error, timeout, 429/5xx)
+   */
+  async function fetchPage(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      let target = new URL(url);
+      let res = null;
+      for (let hop = 0; ; hop++) {
+        const refused = await refusal(target);
+        if (refused) {
+          logger.warn(`Page fetch ${url} refused: ${refused}`);
+          return null;
+        }
+
+        res = await fetch(target.href, {
+          headers: { 'Accept': 'text/html', 'User-Agent': USER_AGENT },
+          redirect: 'manual',
+          signal: controller.signal,
+          dispatcher: PUBLIC_ONLY
+        });
+        const location = res.status >= 300 && res.status < 400 ? res.headers?.get?.('location') : null;
+        if (!location) break;
+        if (hop >= MAX_REDIRECTS) {
+          logger.warn(`Page fetch ${url} → more than ${MAX_REDIRECTS} redirects`);
+          return null;
+        }
+        target = new URL(location, target);
+      }
+
+      if (!res.ok) {
+        if (res.status === 429 || res.status >= 500) throw new Error(`HTTP ${res.status}`);
+        logger.warn(`Page fetch ${url} → HTTP ${res.status}`);
+        return null;
+      }
+      const type = res.headers?.get?.('content-type');
+      if (type && !/html/i.test(type)) return null;
+      const length = parseInt(res.headers?.get?.('content-length'), 10);
+      if (length > maxBytes) {
+        logger.warn(`Page fetch ${url} → ${length} bytes, over the ${maxBytes} byte limit`);
+        await res.body?.cancel?.().catch(() => {});
+        return null;
+      }
+
+      const html = await readText(res, maxBytes);
+      const page = summarizePage(html);
+      return page.title || page.summary ? { url, ...page } : null;
+    } catch (error) {
+      if (error.cause?.code === BLOCKED_CODE) {
+        logger.warn(`Page fetch ${url} refused: ${error.cause.message}`);
+        return null;
+      }
+      logger.warn(`Page fetch ${url} failed`, { error: error.message });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { fetchPage };
+}
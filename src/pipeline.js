@@ -0,0 +1,377 @@
+/**
+ * MENTION PIPELINE
+ * One research → compose → post path shared by every ingestion source
+ * (search polling, filtered stream, Account Activity webhook).
+ * The job queue (queue.js) drives these steps and retries failures.
+ *
+ * 1. Normalize the mention (eligibility is decided by the reply policy, policy.js)
+ * 1b. Stage 0: classify hostile input (abusive / spam / bait) and pick an action
+ * 2. Stage 1: thread origin + classification, Stage 2: topic research, Stage 3: tickers
+ * 3. Compose from the active prompt template (prompts.js) with fallbacks
+ * 4. Post and record
+ */
+
+import { assessMention, loadModerationConfig, chooseDeescalation } from './stages/stage0-mention-safety.js';
+import { buildContextKnowledge } from './stages/stage2-full-research.js';
+import {
+  loadMemoryConfig,
+  saveExchange,
+  recallConversation,
+  noteInteraction,
+  loadAuthorProfile,
+  summarizeProfile
+} from './stages/stage2-conversation-memory.js';
+import { findThreadOrigin, analyzeThreadEvolution } from './stages/stage1-thread-origin.js';
+import { extractTickers, researchTickers } from './stages/stage3-ticker-context.js';
+import { extractReplyText, fallbackReply, finalizeReply } from './compose.js';
+import { createPromptLibrary } from './prompts.js';
+import { createResearchCache } from './research-cache.js';
+import { createPageFetcher } from './pages.js';
+import { createResearchProviders } from './research/index.js';
+import { forCallSite } from './twitter-client.js';
+import { RESEARCH_DEPTHS } from './quota.js';
+import { meteredAnthropic, meteredTwitter } from './costs.js';
+import { addReply, trackReply, recordRepliedMention, recordModerationDecision } from './db.js';
+
+const REPLY_MODEL = 'claude-haiku-4-5-20251001';
+const AUTHOR_FIELDS = 'username,name,verified,verified_type,public_metrics,created_at';
+
+/**
+ * quota: monthly quota ledger (quota.js) - research depth follows it; without one,
+ * every mention gets full research.
+ * pageFetcher: summarizes linked pages for link context (pages.js) - swap it to keep
+ * research offline.
+ * researchProviders: where topics are researched (research/index.js, config/research.json).
+ * Each step takes an optional cost meter (costs.js) that its Twitter and Anthropic
+ * calls are charged to.
+ */
+function createPipeline({ v2Client, anthropic, prompts = createPromptLibrary(), researchCache = createResearchCache(), quota = null, pageFetcher = createPageFetcher(), researchProviders = createResearchProviders() }) {
+  const stats = {
+    repliesSent: 0,
+    authorsMuted: 0
+  };
+  const moderationConfig = loadModerationConfig();
+  const memoryConfig = loadMemoryConfig();
+  // Labelled per call site for the quota ledger; research yields to posting and lookups
+  const twitter = {
+    lookup: forCallSite(v2Client, 'mention-lookup'),
+    author: forCallSite(v2Client, 'author-lookup'),
+    moderation: forCallSite(v2Client, 'moderation'),
+    reply: forCallSite(v2Client, 'reply'),
+    threadOrigin: forCallSite(v2Client, 'thread-origin', 'research'),
+    topics: forCallSite(v2Client, 'topic-research', 'research'),
+    tickers: forCallSite(v2Client, 'ticker-research', 'research')
+  };
+  let botUserId = null;
+
+  /**
+   * Search results carry conversation_id; stream/webhook tweets may not
+   */
+  async function resolveConversationId(mention, meter = null) {
+    if (mention.conversation_id) return mention.conversation_id;
+
+    try {
+      const tweetDetail = await meteredTwitter(twitter.lookup, meter, 'intake').get(`tweets/${mention.id}`, {
+        'tweet.fields': 'conversation_id'
+      });
+      return tweetDetail.data?.conversation_id || mention.id;
+    } catch (e) {
+      console.log(`[RESEARCH-WARN] Failed to get conversation ID: ${e.message}`);
+      return mention.id;
+    }
+  }
+
+  /**
+   * The reply policy needs follower counts and account age - fill them in
+   * when the source didn't include them
+   */
+  async function resolveAuthor(tweet, author, meter = null) {
+    if (author?.public_metrics && author?.created_at) return author;
+
+    try {
+      const user = await meteredTwitter(twitter.author, meter, 'intake').get(`users/${tweet.author_id}`, { 'user.fields': AUTHOR_FIELDS });
+      return { ...author, ...user.data };
+    } catch (e) {
+      console.log(`[AUTHOR-WARN] Failed to look up author ${tweet.author_id}: ${e.message}`);
+      return author;
+    }
+  }
+
+  /**
+   * STAGE 0: classify the mention and decide reply / ignore / mute / deescalate / review
+   */
+  async function assess(mention, meter = null) {
+    const config = moderationConfig();
+    const assessment = await assessMention(mention, meteredAnthropic(anthropic, meter, 'intake'), config);
+
+    if (assessment.action === 'deescalate') {
+      assessment.replyText = chooseDeescalation(config, mention.id);
+    }
+
+    try {
+      await recordModerationDecision({ mention_id: mention.id, author_id: mention.author_id, ...assessment });
+    } catch (e) {
+      console.error(`[SAFETY] Failed to store decision: ${e.message}`);
+    }
+
+    // Every mention, replied to or not, goes into the author's profile
+    try {
+      await noteInteraction(mention, assessment);
+    } catch (e) {
+      console.error(`[PROFILE] Failed to update author profile: ${e.message}`);
+    }
+
+    return assessment;
+  }
+
+  async function muteAuthor(authorId, meter = null) {
+    const client = meteredTwitter(twitter.moderation, meter, 'intake');
+    if (!botUserId) {
+      const me = await client.me();
+      botUserId = me.data.id;
+    }
+    await client.post(`users/${botUserId}/muting`, { target_user_id: authorId });
+    stats.authorsMuted++;
+    console.log(`[SAFETY] Muted author ${authorId}`);
+  }
+
+  async function research(mention, meter = null) {
+    const mentionText = mention.text || '';
+
+    // FULL RESEARCH PIPELINE
+    console.log(`\n[RESEARCH-START] Processing mention: "${mentionText.substring(0, 80)}..."`);
+
+    let contextKnowledge = null;
+    let threadOriginContext = null;
+
+    const depth = quota ? await quota.researchDepth() : RESEARCH_DEPTHS.full;
+    const [threadClient, topicClient, tickerClient] = [twitter.threadOrigin, twitter.topics, twitter.tickers]
+      .map(client => meteredTwitter(client, meter, 'research'));
+    if (depth.level !== 'full') {
+      console.log(`[RESEARCH] Depth: ${depth.level} (monthly read quota)`);
+    }
+
+    try {
+      // STAGE 1: Find thread origin (understand what this thread is ABOUT)
+      console.log(`[THREAD-ORIGIN] Finding root of conversation ${mention.conversation_id.substring(0, 8)}...`);
+      const threadData = depth.threadTweets > 0
+        ? await findThreadOrigin(mention.conversation_id, threadClient, depth.threadTweets, { mention })
+        : null;
+
+      if (threadData) {
+        threadOriginContext = await analyzeThreadEvolution(threadData, meteredAnthropic(anthropic, meter, 'research'), { mentionText });
+        console.log(`[THREAD-ORIGIN] ✓ Original topic: "${threadOriginContext.originalTopic.substring(0, 60)}..."`);
+        console.log(`[THREAD-ORIGIN] ✓ Thread length: ${threadOriginContext.threadLength} tweets, ${threadData.path.length} in the reply chain, ${threadData.branches.length} side branches`);
+
+        // The composer sees the reply chain from the root to this mention, in order
+        const convTweets = threadData.path;
+
+        if (convTweets && convTweets.length > 0) {
+          console.log(`[RESEARCH] Analyzing reply chain (${convTweets.length} of ${threadData.allTweets.length} tweets)`);
+
+          // Build full context knowledge (including research on topics)
+          contextKnowledge = await buildContextKnowledge(convTweets, topicClient, researchCache, {
+            maxTopics: depth.topics,
+            brave: depth.brave,
+            includes: threadData.includes,
+            pageFetcher,
+            providers: researchProviders
+          });
+
+          console.log(`[RESEARCH] Identified ${contextKnowledge.topics.length} topics`);
+          console.log(`[RESEARCH] Researched ${contextKnowledge.research.length} topics in depth`);
+        }
+      }
+    } catch (e) {
+      console.log(`[THREAD-ORIGIN-WARN] Failed to analyze thread: ${e.message}`);
+    }
+
+    // Fallback if no research happened
+    if (!contextKnowledge) {
+      contextKnowledge = {
+        conversationSummary: mentionText,
+        topics: [],
+        projects: [],
+        research: [],
+        linked: [],
+        threadLength: 1
+      };
+    }
+
+    // STAGE 3: Extract and research specific tickers/projects
+    let tickerContext = '';
+    const tickerData = [];
+    try {
+      const fullThreadText = contextKnowledge.conversationSummary;
+      const tickers = extractTickers(fullThreadText);
+
+      if (tickers.length > 0) {
+        console.log(`[TICKER-EXTRACT] Found ${tickers.length} tickers: ${tickers.join(', ')}`);
+
+        // Research each ticker
+        tickerData.push(...await researchTickers(tickers.slice(0, depth.tickers), tickerClient, researchCache));
+
+        if (tickerData.length > 0) {
+          tickerContext = tickerData
+            .map(t => `${t.ticker}: ${t.sentiment.toUpperCase()} (${t.tweets} mentions)\nContext: ${t.context.substring(0, 200)}`)
+            .join('\n\n---\n\n');
+        }
+      }
+    } catch (e) {
+      console.log(`[TICKER-EXTRACT] Error: ${e.message}`);
+    }
+
+    console.log(`[RESEARCH-COMPLETE] Ready to compose reply with full context`);
+
+    // Log what we're about to pass to AI
+    const projectsWithData = contextKnowledge.research.filter(r => r.sources > 0).length;
+    console.log(`[RESEARCH-SUMMARY] Found data on ${projectsWithData}/${contextKnowledge.research.length} topics`);
+    if (contextKnowledge.research.length > 0) {
+      contextKnowledge.research.slice(0, 3).forEach(r => {
+        console.log(`  - ${r.topic}: ${r.sources} sources, "${r.research.substring(0, 50)}..."`);
+      });
+    }
+
+    // What we've already said in this conversation, and whether this follows up on it
+    let memory = { history: '', turns: 0, followUpContext: null };
+    try {
+      memory = await recallConversation(mention, mentionText, memoryConfig());
+    } catch (e) {
+      console.log(`[MEMORY-WARN] Failed to load conversation memory: ${e.message}`);
+    }
+    const { followUpContext } = memory;
+    if (memory.turns > 0) {
+      console.log(`[MEMORY] ${memory.turns} earlier turns in conversation ${mention.conversation_id.substring(0, 8)}...`);
+    }
+
+    // Who we're talking to, from earlier conversations
+    let authorProfile = '';
+    try {
+      authorProfile = summarizeProfile(await loadAuthorProfile(mention.author_id, { excludeMentionId: mention.id }));
+    } catch (e) {
+      console.log(`[PROFILE-WARN] Failed to load author profile: ${e.message}`);
+    }
+    if (authorProfile) {
+      console.log(`[PROFILE] ${authorProfile.split('\n')[0]}`);
+    }
+
+    if (followUpContext) {
+      console.log(`[FOLLOW-UP] ${followUpContext.sameAuthor ? 'Author' : 'Someone else'} ${mention.author_id.substring(0, 8)}... following up on: "${followUpContext.previousReply.substring(0, 50)}..."`);
+      console.log(`[FOLLOW-UP] New question: "${mentionText.substring(0, 50)}..."`);
+    }
+
+    // Log thread origin context
+    if (threadOriginContext && threadOriginContext.originalTopic) {
+      console.log(`[CONTEXT] Thread started: "${threadOriginContext.originalTopic.substring(0, 60)}..."`);
+      console.log(`[CONTEXT] Core topic: ${threadOriginContext.coreMessage} (confidence ${threadOriginContext.analysis.confidence ?? 'n/a'})`);
+      if (threadOriginContext.analysis.drift.level !== 'none') {
+        console.log(`[CONTEXT] Drift (${threadOriginContext.analysis.drift.level}): ${threadOriginContext.analysis.drift.summary}`);
+      }
+      console.log(`[CONTEXT] We're at position ${threadOriginContext.pathLength} in the reply chain (${threadOriginContext.threadLength} tweets in conversation)`);
+    } else {
+      console.log(`[CONTEXT] Thread origin not determined, using conversation context`);
+    }
+
+    return {
+      mentionText,
+      threadOriginContext,
+      contextKnowledge,
+      tickerContext,
+      tickerData: tickerData.map(t => ({ ticker: t.ticker, sentiment: t.sentiment, tweets: t.tweets })),
+      conversationHistory: memory.history,
+      authorProfile,
+      followUpContext
+    };
+  }
+
+  /**
+   * Compose with the active template, or templateId (shadow candidates).
+   * Returns the reply and the template version that produced it.
+   */
+  async function compose(context, templateId = null, meter = null) {
+    const projectsWithData = context.contextKnowledge.research.filter(r => r.sources > 0).length;
+    const prompt = prompts.build(context, templateId);
+    console.log(`[COMPOSE] Building reply with ${context.contextKnowledge.research.length} projects researched (${projectsWithData} with data) using ${prompt.template}`);
+
+    const msg = await meteredAnthropic(anthropic, meter, 'composition').messages.create({
+      model: prompt.model || REPLY_MODEL,
+      max_tokens: prompt.max_tokens || 90,
+      ...(prompt.temperature !== null ? { temperature: prompt.temperature } : {}),
+      system: prompt.system,
+      messages: [{ role: 'user', content: prompt.user }]
+    });
+
+    let replyText = extractReplyText(msg);
+    if (!replyText) {
+      replyText = fallbackReply(context);
+    }
+
+    replyText = finalizeReply(replyText);
+
+    console.log(`[PIPELINE-COMPLETE] ✓ Read thread (${context.contextKnowledge.threadLength} tweets) → Research (${context.contextKnowledge.research.length} topics) → Reply`);
+    console.log(`[REPLY] "${replyText.substring(0, 70)}..."`);
+
+    return { replyText, template: prompt.template };
+  }
+
+  /**
+   * template: which prompt template (or canned source) produced the reply
+   */
+  async function publish(mention, context, replyText, { template = null, meter = null } = {}) {
+    // Post reply via v2.tweet
+    const posted = await meteredTwitter(twitter.reply, meter, 'posting').post('tweets', {
+      text: replyText,
+      reply: {
+        in_reply_to_tweet_id: mention.id
+      }
+    });
+
+    const replyId = posted?.data?.id;
+    if (!replyId) {
+      throw new Error('Reply post returned no tweet id');
+    }
+
+    stats.repliesSent++;
+    let newReplyCount = '?';
+
+    try {
+      // Never the same mention twice, and per-conversation caps (reply policy)
+      newReplyCount = await recordRepliedMention(mention.id, mention.conversation_id, mention.author_id);
+      // Conversation transcript (for follow-ups and not repeating ourselves)
+      await saveExchange(mention, replyText, replyId);
+      await addReply(mention.author_id, mention.id, replyText, template);
+      // Watched by the engagement tracker (engagement.js) after posting
+      await trackReply({
+        replyId,
+        mentionId: mention.id,
+        authorId: mention.author_id,
+        conversationId: mention.conversation_id,
+        replyText,
+        template
+      });
+    } catch (e) {
+      console.error(`[DB] Failed to record reply: ${e.message}`);
+    }
+
+    console.log(`[POSTED] ✓ Reply #${newReplyCount} to author ${mention.author_id.substring(0, 8)}... in conversation ${mention.conversation_id.substring(0, 8)}... (${replyText.length} chars)`);
+    return replyId;
+  }
+
+  /**
+   * Normalize a source tweet + author into the mention the stages work on
+   */
+  async function prepare(tweet, author = null, meter = null) {
+    const mention = {
+      ...tweet,
+      author: await resolveAuthor(tweet, author, meter),
+      conversation_id: await resolveConversationId(tweet, meter)
+    };
+
+    console.log(`[MENTION] @${author?.username || mention.author_id} "${(mention.text || '').substring(0, 50)}..."`);
+    return mention;
+  }
+
+  return { prepare, assess, muteAuthor, research, compose, publish, prompts, researchCache, researchProviders, quota, stats };
+}
+
+export { createPipeline, REPLY_MODEL, AUTHOR_FIELDS };
@@ -0,0 +1,276 @@
+/**
+ * Reply Policy Engine
+ * Declarative reply eligibility, driven by a JSON or YAML rules file
+ * (REPLY_POLICY_FILE, default config/reply-policy.json).
+ *
+ * Rules run in file order. Each returns:
+ * - pass   → keep evaluating
+ * - allow  → reply (stop evaluating)
+ * - block  → don't reply (stop evaluating)
+ * If every rule passes, the mention is allowed.
+ *
+ * Every evaluation produces a decision record with the full rule trace.
+ * The file is re-read when it changes on disk.
+ *
+ * The optional "approval" section decides which composed replies wait for a human:
+ * mode off | all | flagged, where flagged checks the research context
+ * (ticker present, low-confidence research, bearish sentiment).
+ */
+
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from './config.js';
+import {
+  countRepliesSince,
+  recordPolicyDecision,
+  hasRepliedToMention,
+  getAuthorReplyCount,
+  getConversationReplyCount
+} from './db.js';
+
+const DEFAULT_POLICY_FILE = path.join(CONFIG_DIR, 'reply-policy.json');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function matchesList(rule, mention) {
+  const usernames = (rule.usernames || []).map(u => u.replace(/^@/, '').toLowerCase());
+  const userIds = rule.user_ids || [];
+  const username = mention.author?.username?.toLowerCase();
+
+  return userIds.includes(mention.author_id) || (!!username && usernames.includes(username));
+}
+
+function windowMs(rule) {
+  if (rule.window_hours) return rule.window_hours * HOUR;
+  if (rule.window_minutes) return rule.window_minutes * 60 * 1000;
+  return DAY;
+}
+
+/**
+ * Rule type → evaluator. Each gets (rule, mention) and returns { result, detail }.
+ */
+const RULE_TYPES = {
+  async never_same_mention(rule, mention) {
+    return (await hasRepliedToMention(mention.id))
+      ? { result: 'block', detail: 'Already replied to this mention' }
+      : { result: 'pass' };
+  },
+
+  async deny_list(rule, mention) {
+    return matchesList(rule, mention)
+      ? { result: 'block', detail: `@${mention.author?.username || mention.author_id} is on the deny list` }
+      : { result: 'pass' };
+  },
+
+  async allow_list(rule, mention) {
+    if (matchesList(rule, mention)) {
+      return { result: 'allow', detail: `@${mention.author?.username || mention.author_id} is on the allow list` };
+    }
+    return rule.only
+      ? { result: 'block', detail: 'Allow-list only mode and author is not listed' }
+      : { result: 'pass' };
+  },
+
+  async per_author_conversation_cap(rule, mention) {
+    const count = await getAuthorReplyCount(mention.conversation_id, mention.author_id);
+    return count >= rule.max
+      ? { result: 'block', detail: `Author has ${count}/${rule.max} replies in this conversation` }
+      : { result: 'pass', detail: `${count}/${rule.max}` };
+  },
+
+  async per_conversation_cap(rule, mention) {
+    const count = await getConversationReplyCount(mention.conversation_id);
+    return count >= rule.max
+      ? { result: 'block', detail: `Conversation has ${count}/${rule.max} replies` }
+      : { result: 'pass', detail: `${count}/${rule.max}` };
+  },
+
+  async per_author_cap(rule, mention) {
+    const count = await countRepliesSince(new Date(Date.now() - windowMs(rule)), mention.author_id);
+    return count >= rule.max
+      ? { result: 'block', detail: `Author has ${count}/${rule.max} replies in window` }
+      : { result: 'pass', detail: `${count}/${rule.max}` };
+  },
+
+  async global_cap(rule) {
+    const count = await countRepliesSince(new Date(Date.now() - windowMs(rule)));
+    return count >= rule.max
+      ? { result: 'block', detail: `${count}/${rule.max} replies in window` }
+      : { result: 'pass', detail: `${count}/${rule.max}` };
+  },
+
+  async min_followers(rule, mention) {
+    const followers = mention.author?.public_metrics?.followers_count;
+    if (followers === undefined) {
+      return { result: rule.block_unknown ? 'block' : 'pass', detail: 'Follower count unknown' };
+    }
+    return followers < rule.min
+      ? { result: 'block', detail: `${followers} followers (min ${rule.min})` }
+      : { result: 'pass', detail: `${followers} followers` };
+  },
+
+  async require_verified(rule, mention) {
+    const author = mention.author || {};
+    const verified = author.verified === true || (!!author.verified_type && author.verified_type !== 'none');
+    return verified
+      ? { result: 'pass' }
+      : { result: 'block', detail: 'Author is not verified' };
+  },
+
+  async min_account_age(rule, mention) {
+    const createdAt = mention.author?.created_at;
+    if (!createdAt) {
+      return { result: rule.block_unknown ? 'block' : 'pass', detail: 'Account age unknown' };
+    }
+    const ageDays = (Date.now() - new Date(createdAt).getTime()) / DAY;
+    return ageDays < rule.days
+      ? { result: 'block', detail: `Account is ${ageDays.toFixed(1)} days old (min ${rule.days})` }
+      : { result: 'pass', detail: `${Math.floor(ageDays)} days old` };
+  }
+};
+
+/**
+ * Research-context checks for approval mode "flagged". Each returns a reason or null.
+ */
+const APPROVAL_FLAGS = {
+  ticker_present(setting, context) {
+    const tickers = (context.tickerData || []).map(t => t.ticker);
+    return tickers.length > 0 ? `Ticker mentioned: ${tickers.join(', ')}` : null;
+  },
+
+  low_confidence_research(setting, context) {
+    const minSources = typeof setting === 'number' ? setting : 1;
+    const sources = (context.contextKnowledge?.research || []).reduce((sum, r) => sum + (r.sources || 0), 0);
+    if (!context.threadOriginContext) return 'Thread origin could not be determined';
+    return sources < minSources ? `Only ${sources} research source(s) (min ${minSources})` : null;
+  },
+
+  bearish_sentiment(setting, context) {
+    const bearish = (context.tickerData || []).filter(t => t.sentiment === 'bearish').map(t => t.ticker);
+    return bearish.length > 0 ? `Bearish sentiment on ${bearish.join(', ')}` : null;
+  }
+};
+
+// Numbers a rule type can't be evaluated without (an unset cap would never block)
+const RULE_SETTINGS = {
+  per_author_conversation_cap: ['max'],
+  per_conversation_cap: ['max'],
+  per_author_cap: ['max'],
+  global_cap: ['max'],
+  min_followers: ['min'],
+  min_account_age: ['days']
+};
+
+/**
+ * Validate a parsed policy file and fill in rule ids
+ */
+function validatePolicy(policy) {
+  if (!policy || !Array.isArray(policy.rules)) {
+    throw new Error('Reply policy has no "rules" list');
+  }
+
+  policy.rules.forEach((rule, idx) => {
+    if (!RULE_TYPES[rule.type]) {
+      throw new Error(`Reply policy rule #${idx + 1} has unknown type "${rule.type}"`);
+    }
+    rule.id = rule.id || `${rule.type}-${idx + 1}`;
+
+    for (const key of RULE_SETTINGS[rule.type] || []) {
+      if (!(Number.isFinite(rule[key]) && rule[key] >= 0)) {
+        throw new Error(`Reply policy rule "${rule.id}" needs ${key} as a number >= 0`);
+      }
+    }
+    for (const key of ['window_hours', 'window_minutes']) {
+      if (rule[key] !== undefined && !(Number.isFinite(rule[key]) && rule[key] > 0)) {
+        throw new Error(`Reply policy rule "${rule.id}" ${key} must be a number > 0`);
+      }
+    }
+  });
+
+  const approval = policy.approval || {};
+  if (approval.mode && !['off', 'all', 'flagged'].includes(approval.mode)) {
+    throw new Error(`Unknown approval mode "${approval.mode}"`);
+  }
+  for (const flag of Object.keys(approval.flags || {})) {
+    if (!APPROVAL_FLAGS[flag]) throw new Error(`Unknown approval flag "${flag}"`);
+  }
+
+  return policy;
+}
+
+/**
+ * policy: rules given inline (replay fixtures) instead of a file - fixed, never re-read
+ */
+function createPolicyEngine({ file = process.env.REPLY_POLICY_FILE || DEFAULT_POLICY_FILE, policy = null } = {}) {
+  const inline = policy && validatePolicy(policy);
+  const currentPolicy = inline ? () => inline : watchedConfig(file, { label: 'POLICY', validate: validatePolicy });
+
+  /**
+   * Decide whether to reply to a mention. Always returns (and stores) a decision record.
+   */
+  async function evaluate(mention) {
+    const trace = [];
+    let allowed = true;
+    let decidedBy = null;
+    let reason = 'No rule blocked this mention';
+
+    for (const rule of currentPolicy().rules) {
+      if (rule.enabled === false) continue;
+
+      const { result, detail } = await RULE_TYPES[rule.type](rule, mention);
+      trace.push({ rule_id: rule.id, type: rule.type, result, detail });
+
+      if (result === 'pass') continue;
+
+      allowed = result === 'allow';
+      decidedBy = rule.id;
+      reason = detail;
+      break;
+    }
+
+    const decision = {
+      mention_id: mention.id,
+      author_id: mention.author_id,
+      allowed,
+      rule_id: decidedBy,
+      reason,
+      trace,
+      decided_at: new Date().toISOString()
+    };
+
+    try {
+      await recordPolicyDecision(decision);
+    } catch (e) {
+      console.error(`[POLICY] Failed to store decision: ${e.message}`);
+    }
+
+    console.log(`[POLICY] ${allowed ? 'ALLOW' : 'BLOCK'} ${mention.id.substring(0, 8)}... ${decidedBy ? `(${decidedBy}) ` : ''}${reason}`);
+    return decision;
+  }
+
+  /**
+   * Reasons a composed reply needs human approval (empty = post directly)
+   */
+  function approvalReasons(context) {
+    const approval = currentPolicy().approval || {};
+    const mode = process.env.APPROVAL_MODE || approval.mode || 'off';
+
+    if (mode === 'all') return ['Approval required for every reply'];
+    if (mode !== 'flagged') return [];
+
+    return Object.entries(approval.flags || {})
+      .filter(([, setting]) => setting !== false)
+      .map(([flag, setting]) => APPROVAL_FLAGS[flag](setting, context))
+      .filter(Boolean);
+  }
+
+  return {
+    evaluate,
+    approvalReasons,
+    rules: () => currentPolicy().rules,
+    approval: () => currentPolicy().approval || { mode: 'off' },
+    file: inline ? null : file
+  };
+}
+
+export { createPolicyEngine, validatePolicy, RULE_TYPES };
@@ -0,0 +1,267 @@
+/**
+ * Prompt Templates
+ * Reply prompts live in versioned files (prompts/<name>.v<version>.yaml) with named
+ * variables, instead of template literals in code. config/prompts.json (PROMPT_CONFIG_FILE)
+ * picks the active template and the persona file; both, and the templates themselves,
+ * are re-read when they change, so tone can be swapped without a deploy.
+ *
+ * The persona is derived from GROK_TONE.md: core rules, base voice and the don'ts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from './config.js';
+import { summarizeThreadAnalysis } from './stages/stage1-thread-origin.js';
+
+export const PROMPTS_DIR = path.join(process.cwd(), 'prompts');
+const DEFAULT_PROMPT_CONFIG_FILE = path.join(CONFIG_DIR, 'prompts.json');
+
+export const TEMPLATE_VARIABLES = [
+  'mentionText',
+  'coreMessage',
+  'originalTopic',
+  'threadAnalysis',
+  'threadLength',
+  'conversationSummary',
+  'projects',
+  'research',
+  'tickerContext',
+  'followUp',
+  'previousReply',
+  'conversationHistory',
+  'authorProfile',
+  'persona'
+];
+
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const EXPRESSION = /\{\{(?![#/])([^}]+)\}\}/g;
+const TERM = /^(?:"([^"]*)"|(\w+)(?::(\d+))?)$/;
+
+function parseTerm(raw) {
+  const match = raw.trim().match(TERM);
+  if (!match) throw new Error(`Bad template expression "${raw.trim()}"`);
+  const [, literal, name, maxLength] = match;
+  return literal !== undefined ? { literal } : { name, maxLength: maxLength ? parseInt(maxLength, 10) : null };
+}
+
+/**
+ * Variable names a template uses (for validation)
+ */
+function usedVariables(text) {
+  const names = [...text.matchAll(SECTION)].map(m => m[1]);
+  for (const [, expr] of text.matchAll(EXPRESSION)) {
+    names.push(...expr.split('??').map(parseTerm).filter(t => t.name).map(t => t.name));
+  }
+  return names;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || value === false;
+}
+
+/**
+ * {{name}}, {{name:80}} (truncate), {{a ?? b ?? "text"}} (first non-empty),
+ * {{#name}}...{{/name}} (only when name is non-empty)
+ */
+export function renderTemplate(text, vars) {
+  return text
+    .replace(SECTION, (m, name, inner) => (isEmpty(vars[name]) ? '' : inner))
+    .replace(EXPRESSION, (m, expr) => {
+      for (const term of expr.split('??').map(parseTerm)) {
+        if (term.literal !== undefined) return term.literal;
+        const value = vars[term.name];
+        if (isEmpty(value)) continue;
+        const str = String(value);
+        return term.maxLength ? str.substring(0, term.maxLength) : str;
+      }
+      return '';
+    });
+}
+
+/**
+ * Research context → template variables
+ */
+export function templateVariables({ mentionText, threadOriginContext, contextKnowledge, tickerContext, conversationHistory, authorProfile, followUpContext }, persona = '') {
+  const projects = contextKnowledge?.projects || [];
+  return {
+    mentionText,
+    coreMessage: threadOriginContext?.coreMessage,
+    originalTopic: threadOriginContext?.originalTopic,
+    threadAnalysis: summarizeThreadAnalysis(threadOriginContext?.analysis),
+    threadLength: threadOriginContext?.threadLength || contextKnowledge?.threadLength,
+    conversationSummary: contextKnowledge?.conversationSummary,
+    projects: projects.map(p => p.handle ? `@${p.handle}` : p.name).join(', '),
+    research: (contextKnowledge?.research || []).map(r => `${r.topic}:\n${r.research}`).join('\n\n'),
+    tickerContext,
+    followUp: !!followUpContext,
+    previousReply: followUpContext?.previousReply,
+    conversationHistory,
+    authorProfile,
+    persona
+  };
+}
+
+// ============================================
+// PERSONA (from GROK_TONE.md)
+// ============================================
+
+function stripMarkdown(text) {
+  return text.replace(/\*\*/g, '').replace(/^[✅❌]\s*/u, '').trim();
+}
+
+/**
+ * Collect list items under each heading of the tone guide
+ */
+function sectionItems(markdown) {
+  const sections = {};
+  let heading = '';
+  for (const line of markdown.split('\n')) {
+    const h = line.match(/^#{2,3}\s+(.+)$/);
+    if (h) {
+      heading = h[1].toLowerCase();
+      sections[heading] = [];
+      continue;
+    }
+    const item = line.match(/^\s*(?:[-*]|\d+\.|[✅❌])\s*(.+)$/u);
+    if (item && heading) sections[heading].push(stripMarkdown(item[1]));
+  }
+  return sections;
+}
+
+function itemsUnder(sections, prefix) {
+  const key = Object.keys(sections).find(k => k.startsWith(prefix));
+  return key ? sections[key] : [];
+}
+
+export function derivePersona(markdown) {
+  const sections = sectionItems(markdown);
+  const rules = itemsUnder(sections, 'core rules');
+  const voice = itemsUnder(sections, 'base');
+  const never = itemsUnder(sections, 'what not to do');
+
+  if (rules.length === 0 && voice.length === 0) {
+    throw new Error('Tone guide has no "Core Rules" or "Base" section');
+  }
+
+  return [
+    'PERSONA:',
+    ...rules.map((r, i) => `${i + 1}. ${r}`),
+    voice.length ? `Voice: ${voice.join('; ')}` : '',
+    never.length ? `Never: ${never.join('; ')}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+// ============================================
+// TEMPLATE LIBRARY
+// ============================================
+
+function validateTemplate(template, file) {
+  const id = `${template.name}.v${template.version}`;
+  if (!template.name || !Number.isInteger(template.version)) {
+    throw new Error(`${file} needs a name and an integer version`);
+  }
+  if (path.basename(file, path.extname(file)) !== id) {
+    throw new Error(`${file} declares ${id} - file name must match`);
+  }
+  if (!template.variants?.reply?.system || !template.variants?.reply?.user) {
+    throw new Error(`${id} needs variants.reply.system and variants.reply.user`);
+  }
+
+  for (const variant of Object.values(template.variants)) {
+    for (const name of usedVariables(`${variant.system}\n${variant.user}`)) {
+      if (!TEMPLATE_VARIABLES.includes(name)) {
+        throw new Error(`${id} uses unknown variable "${name}"`);
+      }
+    }
+  }
+
+  template.id = id;
+  return template;
+}
+
+function validatePromptConfig(config) {
+  if (!config.reply_template) throw new Error('prompts config needs reply_template');
+  return config;
+}
+
+export function createPromptLibrary({
+  dir = PROMPTS_DIR,
+  configFile = process.env.PROMPT_CONFIG_FILE || DEFAULT_PROMPT_CONFIG_FILE
+} = {}) {
+  const currentConfig = watchedConfig(configFile, { label: 'PROMPTS', validate: validatePromptConfig });
+  const templates = new Map();
+  const personas = new Map();
+
+  function template(id) {
+    if (!templates.has(id)) {
+      const file = ['.yaml', '.yml', '.json'].map(ext => path.join(dir, `${id}${ext}`)).find(f => fs.existsSync(f));
+      if (!file) throw new Error(`Prompt template ${id} not found in ${dir}`);
+      templates.set(id, watchedConfig(file, { label: 'PROMPTS', validate: t => validateTemplate(t, file) }));
+    }
+    return templates.get(id)();
+  }
+
+  function persona() {
+    const file = currentConfig().persona_file;
+    if (!file) return '';
+    const resolved = path.resolve(file);
+    if (!personas.has(resolved)) {
+      personas.set(resolved, watchedConfig(resolved, {
+        label: 'PERSONA',
+        parse: f => fs.readFileSync(f, 'utf8'),
+        validate: derivePersona
+      }));
+    }
+    return personas.get(resolved)();
+  }
+
+  /**
+   * Render the system + user prompts for a research context.
+   * templateId defaults to the active template.
+   */
+  function build(context, templateId = null) {
+    const tpl = template(templateId || active());
+    const variant = (context.followUpContext && tpl.variants.follow_up) || tpl.variants.reply;
+    const vars = templateVariables(context, persona());
+
+    return {
+      template: tpl.id,
+      model: tpl.model || null,
+      max_tokens: tpl.max_tokens || null,
+      temperature: tpl.temperature ?? null,
+      system: renderTemplate(variant.system, vars),
+      user: renderTemplate(variant.user, vars)
+    };
+  }
+
+  function active() {
+    return currentConfig().reply_template;
+  }
+
+  function list() {
+    return fs.readdirSync(dir)
+      .filter(f => /\.(ya?ml|json)$/.test(f))
+      .map(f => path.basename(f, path.extname(f)))
+      .sort()
+      .map(id => {
+        try {
+          const tpl = template(id);
+          return { id, description: tpl.description || '', active: id === active() };
+        } catch (e) {
+          return { id, error: e.message };
+        }
+      });
+  }
+
+  /**
+   * Switch the active template (persisted to the prompts config file)
+   */
+  function activate(templateId) {
+    template(templateId); // throws if missing or invalid
+    const config = { ...currentConfig(), reply_template: templateId };
+    fs.writeFileSync(configFile, JSON.stringify(config, null, 2) + '\n', 'utf8');
+    return active();
+  }
+
+  return { build, active, activate, list, persona, template, configFile };
+}
@@ -0,0 +1,481 @@
+/**
+ * Mention Job Queue
+ * Durable, retrying worker around the shared pipeline.
+ *
+ * pending → researching → composing → posted
+ *                                   ↘ failed (dead letter, after MAX_ATTEMPTS)
+ *
+ * Failed attempts go back to pending with exponential backoff. Once a reply is posted the
+ * job never fails again: its own bookkeeping errors are only logged, and a retried job that
+ * already holds a reply_id (or whose mention was already replied to) isn't posted again.
+ * Mentions the reply policy blocks, or moderation ignores/mutes, end as skipped.
+ * Moderation can also route a mention to review (human decides: release or dismiss).
+ *
+ * When the reply policy requires approval, composed replies stop at awaiting_approval
+ * as a draft (with the research context); approving it sends the job back to post.
+ *
+ * In shadow dry-run mode (shadow.js) nothing is posted or muted: jobs end as shadowed
+ * with the would-be reply in the shadow log.
+ *
+ * While an experiment runs (experiments.js) the mention's variant picks the prompt template.
+ * The variant is saved on the job with the reply, and the post counts as its sample -
+ * approved drafts included, unless the reviewer edited the text.
+ *
+ * Every attempt is metered (costs.js) and its spend recorded, failed or not. Once today's
+ * spend reaches the daily budget, due jobs wait (pending) until the next UTC day.
+ */
+
+import { logger } from './logger.js';
+import { Analytics } from './analytics.js';
+import {
+  enqueueJob,
+  getNextDueJob,
+  getJob,
+  updateJob,
+  listJobs,
+  countJobsByState,
+  resetInterruptedJobs,
+  createDraft,
+  getDraft,
+  listDrafts,
+  decideDraft,
+  hasRepliedToMention
+} from './db.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+const BASE_RETRY_DELAY = parseInt(process.env.QUEUE_RETRY_DELAY_MS || '30000', 10); // 30s, 1m, 2m, 4m...
+const POST_INTERVAL = parseInt(process.env.POST_INTERVAL_MS || '30000', 10); // One reply per 30s
+const TICK_INTERVAL = 5000;
+const REPLAYABLE_STATES = ['failed', 'skipped'];
+const REVIEW_STATE = 'review';
+const APPROVAL_STATE = 'awaiting_approval';
+// Recorded as the "template" of canned de-escalation replies
+const DEESCALATION_TEMPLATE = 'moderation:deescalate';
+
+export function retryDelay(attempts, baseDelay = BASE_RETRY_DELAY) {
+  return baseDelay * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+export function createJobQueue({
+  pipeline,
+  policy,
+  shadow = null,
+  experiments = null,
+  costs = null,
+  maxAttempts = MAX_ATTEMPTS,
+  retryDelayMs = BASE_RETRY_DELAY,
+  postIntervalMs = POST_INTERVAL
+}) {
+  let timer = null;
+  let busy = false;
+  let budgetHeld = false;
+  let lastPostAt = 0;
+  let mentionsQueued = 0;
+
+  async function processJob(job, meter = null) {
+    const { tweet, author } = job.payload;
+
+    // An earlier attempt already posted - it only failed after that, so don't post again
+    if (job.reply_id) {
+      await updateJob(job.id, { state: 'posted', last_error: null });
+      return;
+    }
+
+    const mention = await pipeline.prepare(tweet, author, meter);
+
+    // A reviewer already approved this reply - just post it
+    if (job.approved) {
+      const replyId = await publish(job, mention, job.context, job.reply_text, job.reply_template, meter);
+      if (replyId) await recordExperiment(job, mention, job.experiment, job.reply_template, replyId);
+      return;
+    }
+
+    const decision = await policy.evaluate(mention);
+    if (!decision.allowed) {
+      console.log(`[SKIP] ${decision.reason}`);
+      await updateJob(job.id, { state: 'skipped', last_error: `${decision.rule_id}: ${decision.reason}` });
+      return;
+    }
+
+    // STAGE 0: hostile input handling (skipped once a reviewer released the mention)
+    if (!job.moderation_override) {
+      const assessment = await pipeline.assess(mention, meter);
+
+      if (assessment.action === 'ignore' || assessment.action === 'mute') {
+        if (assessment.action === 'mute') {
+          if (shadow?.dryRun) {
+            console.log(`[SHADOW] Would mute author ${mention.author_id}`);
+          } else {
+            await pipeline.muteAuthor(mention.author_id, meter);
+          }
+        }
+        await updateJob(job.id, { state: 'skipped', last_error: `moderation: ${assessment.label} → ${assessment.action}` });
+        return;
+      }
+
+      if (assessment.action === 'review') {
+        await updateJob(job.id, { state: REVIEW_STATE, last_error: `moderation: ${assessment.label} (${assessment.reason})` });
+        return;
+      }
+
+      if (assessment.action === 'deescalate') {
+        await updateJob(job.id, { state: 'composing', reply_text: assessment.replyText, reply_template: DEESCALATION_TEMPLATE });
+        const context = { mentionText: mention.text || '' };
+        if (shadow?.dryRun) {
+          await shadow.record(job, mention, context, { kind: 'deescalate', replyText: assessment.replyText, template: DEESCALATION_TEMPLATE });
+          await updateJob(job.id, { state: 'shadowed', last_error: null });
+          return;
+        }
+        await publish(job, mention, context, assessment.replyText, DEESCALATION_TEMPLATE, meter);
+        return;
+      }
+    }
+
+    // Research (reused if an earlier attempt already finished it)
+    let context = job.context;
+    if (!context) {
+      await updateJob(job.id, { state: 'researching' });
+      context = await pipeline.research(mention, meter);
+      await updateJob(job.id, { context });
+    }
+
+    await updateJob(job.id, { state: 'composing' });
+    // A/B variant - deterministic, so a retry lands in the same one. Saved with the reply,
+    // which may only post after approval (or after the experiment config changed)
+    const assignment = job.experiment || experiments?.assign(mention) || null;
+    let replyText = job.reply_text;
+    let template = job.reply_template;
+    if (!replyText) {
+      ({ replyText, template } = await pipeline.compose(context, assignment?.template, meter));
+      await updateJob(job.id, { reply_text: replyText, reply_template: template, experiment: assignment });
+    }
+
+    if (shadow?.dryRun) {
+      await shadow.record(job, mention, context, { replyText, template, meter });
+      await updateJob(job.id, { state: 'shadowed', last_error: null });
+      return;
+    }
+
+    const reasons = policy.approvalReasons(context);
+    if (reasons.length > 0) {
+      const draftId = await createDraft({
+        jobId: job.id,
+        mentionId: mention.id,
+        authorId: mention.author_id,
+        mentionText: mention.text || '',
+        draftText: replyText,
+        context,
+        flags: reasons
+      });
+      console.log(`[APPROVAL] Draft #${draftId} held for review: ${reasons.join('; ')}`);
+      await updateJob(job.id, { state: APPROVAL_STATE, last_error: `approval: ${reasons.join('; ')}` });
+      return;
+    }
+
+    const replyId = await publish(job, mention, context, replyText, template, meter);
+    if (!replyId) return;
+
+    await recordExperiment(job, mention, assignment, template, replyId);
+
+    if (shadow?.enabled) {
+      // The reply is already out - a shadow failure must not fail (and re-post) the job
+      try {
+        await shadow.record(job, mention, context, { replyText, replyId, template, meter });
+      } catch (e) {
+        logger.warn(`Shadow record failed for job ${job.id}`, { error: e.message });
+      }
+    }
+  }
+
+  /**
+   * Count a posted reply as a sample of its experiment variant - only if it was written
+   * from the variant's template. The reply is already out, so failures are only logged.
+   */
+  async function recordExperiment(job, mention, assignment, template, replyId) {
+    if (!experiments || !assignment || assignment.template !== template) return;
+    try {
+      await experiments.recordPost(mention, assignment, replyId);
+    } catch (e) {
+      logger.warn(`Experiment record failed for job ${job.id}`, { error: e.message });
+    }
+  }
+
+  async function publish(job, mention, context, replyText, template = null, meter = null) {
+    // A retried or resumed job whose reply went out but whose job record didn't get updated
+    if (await hasRepliedToMention(mention.id)) {
+      logger.warn(`Job ${job.id}: already replied to mention ${mention.id} - not posting again`);
+      await updateJob(job.id, { state: 'skipped', last_error: 'Already replied to this mention' });
+      return null;
+    }
+
+    const replyId = await pipeline.publish(mention, context, replyText, { template, meter });
+    lastPostAt = Date.now();
+
+    // The reply is out - nothing after this may fail the job, or its retry would post again
+    try {
+      await updateJob(job.id, { state: 'posted', reply_id: replyId, last_error: null });
+    } catch (e) {
+      logger.error(`Job ${job.id} posted reply ${replyId} but the job record wasn't updated`, { error: e.message });
+    }
+
+    try {
+      const cost = costs ? await costs.spentOn(mention.id, meter) : null;
+      await Analytics.logReply(mention, replyText, replyId, cost);
+    } catch (e) {
+      logger.warn(`Reply analytics failed for mention ${mention.id}`, { error: e.message });
+    }
+    return replyId;
+  }
+
+  /**
+   * Hold the queue while today's spend is over the daily budget
+   */
+  async function holdForBudget() {
+    if (!costs || !(await costs.overBudget())) {
+      if (budgetHeld) logger.info('Daily budget has room again - resuming the queue');
+      budgetHeld = false;
+      return false;
+    }
+    if (!budgetHeld) {
+      logger.warn(`Daily budget of $${costs.budget()} reached - holding mentions until tomorrow (UTC)`);
+    }
+    budgetHeld = true;
+    return true;
+  }
+
+  /**
+   * Load a pending draft and its job, or throw if it can't be decided
+   */
+  async function pendingDraft(id) {
+    const draft = await getDraft(id);
+    if (!draft) return {};
+    if (draft.status !== 'pending') {
+      throw new Error(`Draft ${id} is already ${draft.status}`);
+    }
+
+    const job = await getJob(draft.job_id);
+    if (!job || job.state !== APPROVAL_STATE) {
+      throw new Error(`Job for draft ${id} is ${job?.state || 'missing'}, not awaiting approval`);
+    }
+    return { draft, job };
+  }
+
+  async function fail(job, error) {
+    const attempts = job.attempts + 1;
+    await Analytics.logError(error, { mention_id: job.mention_id, job_id: job.id, attempt: attempts });
+
+    if (attempts >= maxAttempts) {
+      logger.error(`Job ${job.id} dead-lettered after ${attempts} attempts`, { mention_id: job.mention_id, error: error.message });
+      await updateJob(job.id, { state: 'failed', attempts, last_error: error.message });
+      return;
+    }
+
+    const delay = retryDelay(attempts, retryDelayMs);
+    logger.warn(`Job ${job.id} failed (attempt ${attempts}/${maxAttempts}), retrying in ${Math.round(delay / 1000)}s`, { error: error.message });
+    await updateJob(job.id, {
+      state: 'pending',
+      attempts,
+      last_error: error.message,
+      next_attempt_at: new Date(Date.now() + delay).toISOString()
+    });
+  }
+
+  /**
+   * Process the next due job, if any - resolves to that job (as it was picked up) or null
+   */
+  async function tick() {
+    if (busy) return null;
+    // HARD STOP: keep replies at least postIntervalMs apart
+    if (Date.now() - lastPostAt < postIntervalMs) return null;
+
+    busy = true;
+    let processed = null;
+    try {
+      if (await holdForBudget()) return null;
+
+      const job = await getNextDueJob();
+      if (!job) return null;
+
+      processed = job;
+      const meter = costs?.meter(job.mention_id) || null;
+      try {
+        await processJob(job, meter);
+      } catch (error) {
+        await fail(job, error);
+      } finally {
+        if (meter) {
+          await costs.record(meter, job.id).catch(error => {
+            logger.warn(`Cost record failed for job ${job.id}`, { error: error.message });
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('Queue tick failed', { error: error.message });
+    } finally {
+      busy = false;
+      // Drain the backlog without waiting for the next interval (tick re-checks the post spacing)
+      if (processed && timer) setImmediate(tick);
+    }
+    return processed;
+  }
+
+  /**
+   * Jobs a restart interrupted mid-attempt go back to pending
+   */
+  async function resume() {
+    const resumed = await resetInterruptedJobs();
+    if (resumed > 0) {
+      logger.info(`Resuming ${resumed} job(s) interrupted by restart`);
+    }
+    return resumed;
+  }
+
+  return {
+    /**
+     * onMention handler for every source - persist first, process later
+     */
+    async enqueue(tweet, author = null, source = null) {
+      const queued = await enqueueJob(tweet.id, source, { tweet, author });
+      if (queued) {
+        mentionsQueued++;
+        await Analytics.logMention({ ...tweet, author });
+        logger.info(`Queued mention ${tweet.id}`, { author: author?.username || tweet.author_id, source });
+        setImmediate(tick);
+      }
+      return { status: queued ? 'queued' : 'duplicate' };
+    },
+
+    async start() {
+      await resume();
+      timer = setInterval(tick, TICK_INTERVAL);
+      setImmediate(tick);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    resume,
+
+    /**
+     * One tick without the timer - lets the replay harness step the queue
+     */
+    processNext: tick,
+
+    list(state, limit) {
+      return listJobs(state, limit);
+    },
+
+    deadLetters(limit) {
+      return listJobs('failed', limit);
+    },
+
+    /**
+     * Put a dead-lettered (or skipped) job back in the queue with a fresh attempt budget
+     */
+    async replay(id) {
+      const job = await getJob(id);
+      if (!job) return null;
+      if (!REPLAYABLE_STATES.includes(job.state)) {
+        throw new Error(`Job ${id} is ${job.state}, only ${REPLAYABLE_STATES.join('/')} jobs can be replayed`);
+      }
+
+      await updateJob(id, {
+        state: 'pending',
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: new Date().toISOString()
+      });
+      setImmediate(tick);
+      return getJob(id);
+    },
+
+    /**
+     * Reviewer approved a mention moderation held back - process it normally
+     */
+    async release(id) {
+      const job = await getJob(id);
+      if (!job) return null;
+      if (job.state !== REVIEW_STATE) {
+        throw new Error(`Job ${id} is ${job.state}, not in review`);
+      }
+
+      await updateJob(id, {
+        state: 'pending',
+        moderation_override: 1,
+        last_error: null,
+        next_attempt_at: new Date().toISOString()
+      });
+      setImmediate(tick);
+      return getJob(id);
+    },
+
+    /**
+     * Reviewer decided not to reply
+     */
+    async dismiss(id) {
+      const job = await getJob(id);
+      if (!job) return null;
+      if (job.state !== REVIEW_STATE) {
+        throw new Error(`Job ${id} is ${job.state}, not in review`);
+      }
+
+      await updateJob(id, { state: 'skipped', last_error: 'moderation: dismissed by reviewer' });
+      return getJob(id);
+    },
+
+    drafts(status, limit) {
+      return listDrafts(status, limit);
+    },
+
+    getDraft,
+
+    /**
+     * Approve a draft as written, or with edited text - the job posts it on the next tick
+     */
+    async approve(id, { text, note } = {}) {
+      const { draft, job } = await pendingDraft(id);
+      if (!draft) return null;
+
+      const finalText = text?.trim() || draft.draft_text;
+      if (!(await decideDraft(id, { status: 'approved', finalText, note }))) {
+        throw new Error(`Draft ${id} was decided concurrently`);
+      }
+
+      const edited = finalText !== draft.draft_text;
+      await updateJob(job.id, {
+        state: 'pending',
+        approved: 1,
+        reply_text: finalText,
+        // An edited reply is the reviewer's, not the variant's - it doesn't count as a sample
+        ...(edited && { experiment: null }),
+        last_error: null,
+        next_attempt_at: new Date().toISOString()
+      });
+      logger.info(`Draft ${id} approved${edited ? ' with edits' : ''}`, { mention_id: draft.mention_id });
+      setImmediate(tick);
+      return getDraft(id);
+    },
+
+    /**
+     * Reviewer decided the draft should never be posted
+     */
+    async reject(id, { note } = {}) {
+      const { draft, job } = await pendingDraft(id);
+      if (!draft) return null;
+
+      if (!(await decideDraft(id, { status: 'rejected', note }))) {
+        throw new Error(`Draft ${id} was decided concurrently`);
+      }
+
+      await updateJob(job.id, { state: 'skipped', last_error: `approval: rejected${note ? ` (${note})` : ''}` });
+      logger.info(`Draft ${id} rejected`, { mention_id: draft.mention_id });
+      return getDraft(id);
+    },
+
+    async status() {
+      return { mentions_queued: mentionsQueued, budget_held: budgetHeld, jobs: await countJobsByState() };
+    }
+  };
+}
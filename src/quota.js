@@ -0,0 +1,149 @@
+/**
+ * Twitter Quota Ledger
+ * Our X API tier caps tweets read and written per month, on top of the 15-minute rate
+ * limits twitter-client.js deals with. Every call through the rate-limited client is
+ * tallied here per call site (polling, thread-origin, topic-research, reply, ...), so we
+ * can see what spends the quota and forecast where the month will end.
+ *
+ * Research depth follows the read quota:
+ * - full    - under TWITTER_QUOTA_REDUCE_AT of the cap (default 70%) and on track
+ * - reduced - past that, or forecast to overrun: fewer topics, smaller thread pulls
+ * - minimal - past TWITTER_QUOTA_MINIMAL_AT (default 90%): one topic, one ticker, no Brave
+ * - none    - cap reached: no research, replies go out on the mention alone
+ *
+ * Quota months start on TWITTER_QUOTA_RESET_DAY (1-28, UTC) - set it to the billing day.
+ * A cap of 0 means uncapped.
+ */
+
+import { logger } from './logger.js';
+import { recordQuotaUsage, listQuotaUsage } from './db.js';
+
+const READ_CAP = parseInt(process.env.TWITTER_MONTHLY_READ_CAP || '15000', 10);
+const WRITE_CAP = parseInt(process.env.TWITTER_MONTHLY_WRITE_CAP || '3000', 10);
+const RESET_DAY = parseInt(process.env.TWITTER_QUOTA_RESET_DAY || '1', 10);
+const REDUCE_AT = parseFloat(process.env.TWITTER_QUOTA_REDUCE_AT || '0.7');
+const MINIMAL_AT = parseFloat(process.env.TWITTER_QUOTA_MINIMAL_AT || '0.9');
+const DAY = 24 * 60 * 60 * 1000;
+
+// threadTweets: max_results for the conversation pull (0 skips it), topics: stage 2
+// searches, tickers: stage 3 searches, brave: web search alongside topic research
+export const RESEARCH_DEPTHS = {
+  full: { level: 'full', threadTweets: 100, topics: 8, tickers: 3, brave: true },
+  reduced: { level: 'reduced', threadTweets: 40, topics: 3, tickers: 2, brave: true },
+  minimal: { level: 'minimal', threadTweets: 10, topics: 1, tickers: 1, brave: false },
+  none: { level: 'none', threadTweets: 0, topics: 0, tickers: 0, brave: false }
+};
+
+// Endpoints whose responses count as posts read
+const READ_ENDPOINTS = /^GET (tweets\b|users\/:id\/(tweets|mentions|liked_tweets|timelines))/;
+
+/**
+ * The quota month holding `now`: { key: 'YYYY-MM-DD', start, end }
+ */
+export function quotaPeriod(now = new Date(), resetDay = RESET_DAY) {
+  const day = Math.min(Math.max(resetDay, 1), 28);
+  let start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), day));
+  if (start > now) start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, day));
+  const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, day));
+  return { key: start.toISOString().slice(0, 10), start, end };
+}
+
+/**
+ * What one call costs: { kind: 'read' | 'write', tweets }, or null if it's free
+ */
+export function tweetsInCall(endpoint, body) {
+  if (endpoint === 'POST tweets') return { kind: 'write', tweets: 1 };
+  if (!READ_ENDPOINTS.test(endpoint)) return null;
+  const data = body?.data;
+  return { kind: 'read', tweets: Array.isArray(data) ? data.length : data ? 1 : 0 };
+}
+
+const share = (n, cap) => cap ? Number((n / cap).toFixed(3)) : null;
+
+export function createQuotaLedger({
+  readCap = READ_CAP,
+  writeCap = WRITE_CAP,
+  resetDay = RESET_DAY,
+  reduceAt = REDUCE_AT,
+  minimalAt = MINIMAL_AT
+} = {}) {
+  let depth = RESEARCH_DEPTHS.full;
+
+  /**
+   * Count a finished call (twitter-client.js calls this)
+   */
+  function record(callSite, endpoint, body) {
+    const usage = tweetsInCall(endpoint, body);
+    if (!usage) return;
+    recordQuotaUsage({ period: quotaPeriod(new Date(), resetDay).key, callSite, ...usage }).catch(error => {
+      logger.warn(`Quota ledger write failed for ${callSite}`, { error: error.message });
+    });
+  }
+
+  function depthFor(used, projected) {
+    if (!readCap) return RESEARCH_DEPTHS.full;
+    if (used >= readCap) return RESEARCH_DEPTHS.none;
+    if (used >= readCap * minimalAt) return RESEARCH_DEPTHS.minimal;
+    if (used >= readCap * reduceAt || projected > readCap) return RESEARCH_DEPTHS.reduced;
+    return RESEARCH_DEPTHS.full;
+  }
+
+  /**
+   * Usage per call site for the quota month holding `date`, with a straight-line
+   * forecast to month end (from at least a day of data)
+   */
+  async function report(date = new Date()) {
+    const period = quotaPeriod(date, resetDay);
+    const rows = await listQuotaUsage(period.key);
+
+    const used = { read: 0, write: 0 };
+    const callSites = {};
+    for (const row of rows) {
+      used[row.kind] += row.tweets;
+      const site = callSites[row.call_site] ??= { reads: 0, writes: 0, calls: 0 };
+      site[row.kind === 'write' ? 'writes' : 'reads'] += row.tweets;
+      site.calls += row.calls;
+    }
+
+    const length = period.end - period.start;
+    const elapsed = Math.min(Math.max(Date.now() - period.start, DAY), length);
+    const totals = (n, cap) => {
+      const projected = Math.round(n * length / elapsed);
+      return { used: n, cap: cap || null, share: share(n, cap), projected, projected_share: share(projected, cap) };
+    };
+    const reads = totals(used.read, readCap);
+
+    return {
+      period: { start: period.start.toISOString(), end: period.end.toISOString() },
+      reads,
+      writes: totals(used.write, writeCap),
+      research_depth: depthFor(reads.used, reads.projected).level,
+      call_sites: callSites
+    };
+  }
+
+  /**
+   * How much research this mention gets. A failed check keeps the last depth.
+   */
+  async function researchDepth() {
+    try {
+      const { reads } = await report();
+      const next = depthFor(reads.used, reads.projected);
+      if (next !== depth) {
+        logger.warn(`Research depth ${depth.level} → ${next.level}`, {
+          reads: reads.used, cap: reads.cap, projected: reads.projected
+        });
+        depth = next;
+      }
+    } catch (error) {
+      logger.warn('Quota check failed - keeping research depth', { error: error.message, depth: depth.level });
+    }
+    return depth;
+  }
+
+  return {
+    record,
+    report,
+    researchDepth
+  };
+}
@@ -0,0 +1,515 @@
+/**
+ * Replay Scenarios
+ * Fixtures with a `scenario` drive one component through a scripted run instead of
+ * replaying a mention through the pipeline. Each scenario returns the summary that the
+ * fixture's `expected` must match, same as a mention replay.
+ *
+ * - webhook: requests against the /webhooks/twitter router on a local port.
+ *            fixture: consumer_secret, requests [{ label, method, query?, body?, signed_body?, signature? }]
+ *            body is signed with consumer_secret unless signature is false (header left out);
+ *            signed_body signs something other than what is sent (a tampered delivery)
+ * - queue:   the job queue over a scripted pipeline, stepped one job at a time.
+ *            fixture: queue { max_attempts, retry_delay_ms }, experiment?, jobs [{ mention, seed?,
+ *            replied?, compose?, post?, approval? }]
+ *            compose / post list each attempt's outcome in order ({ error } fails it, anything
+ *            else or running out succeeds); seed sets job fields as a restart would have left
+ *            them; replied records the mention as already answered. Retry waits are skipped,
+ *            the delay each one would have been is recorded. approval holds the reply as a draft,
+ *            approved once the queue is idle (true, or { text } to approve with edits).
+ *            experiment { id, variant, template } is the variant every mention is assigned;
+ *            the summary lists the posts recorded as its samples.
+ * - policy:  reply policy decisions, read back from the stored decision records.
+ *            fixture: history [{ mention_id, conversation_id, author_id }] (replies already sent),
+ *            cases [{ label, rules, mention }] - each case gets its own engine over its rules.
+ *            author.account_age_days stands in for created_at, so ages don't drift.
+ *            rejected [{ label, rules }] are rule sets the engine must refuse (error recorded);
+ *            reload { rules, update, mention } loads rules from a file, rewrites it with update
+ *            and evaluates mention before and after - an invalid update keeps the old rules.
+ * - rate_limits: the rate-limited Twitter client over a fake endpoint that keeps its own
+ *            budget and answers with x-rate-limit-* headers.
+ *            fixture: client { max_wait_ms, research_reserve }, endpoint { path, limit, window_s },
+ *            steps [{ label, budget?: { remaining, reset_in_s }, calls [{ label, priority }] }]
+ *            A step's calls are queued together; the summary has the order the endpoint saw
+ *            them in, which were held back as rate limited, and the budget's counters.
+ * - research_cache: the research cache on a stepped clock.
+ *            fixture: cache { ttl_ms, stale_ms }, steps [{ label, advance_ms?, kind, name, variant?, result }]
+ *            result is what research() gives if the cache calls it: a value, { error } (it
+ *            throws) or a value with incomplete: true. Each step records what was served,
+ *            whether research ran, and the stored entry once background refreshes settle.
+ * - search_polling: the search polling source over a fake search endpoint, from a persisted cursor.
+ *            fixture: polling { max_pages, page_size, first_id }, unread (mentions already
+ *            waiting), steps [{ label, new_mentions?, restart?, concurrent? }]
+ *            Mention ids count up from first_id. A step posts new_mentions, then polls - through
+ *            a fresh source's start() on restart, or `concurrent` polls at once - and records
+ *            the searches made, what was queued and the persisted cursor and gap.
+ * - author_profile: mentions from one author noted against their profile, in order.
+ *            fixture: author { id, username }, steps [{ label, mentions: [text] }]
+ *            Each step records the profile's ranked topics and tickers after its mentions.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { captureRawBody, createWebhookRouter } from './webhook.js';
+import { createJobQueue } from './queue.js';
+import { createPolicyEngine } from './policy.js';
+import { createTwitterClient, endpointKey, isRateLimitError } from './twitter-client.js';
+import { createResearchCache, cacheKey } from './research-cache.js';
+import { noteInteraction, loadAuthorProfile } from './stages/stage2-conversation-memory.js';
+import { createSearchPollingSource } from './sources/search-polling.js';
+import {
+  enqueueJob,
+  getJob,
+  listJobs,
+  updateJob,
+  recordRepliedMention,
+  addReply,
+  listPolicyDecisions,
+  getResearchCacheEntry,
+  getCursor,
+  setCursor
+} from './db.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+async function webhookScenario(fixture) {
+  const mentions = [];
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(createWebhookRouter({
+    consumerSecret: fixture.consumer_secret,
+    onMention: tweet => { mentions.push(tweet.id); }
+  }));
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/webhooks/twitter`;
+
+  try {
+    const requests = [];
+    for (const request of fixture.requests) {
+      const received = mentions.length;
+      const url = new URL(base);
+      for (const [key, value] of Object.entries(request.query || {})) url.searchParams.set(key, value);
+
+      const headers = {};
+      let body;
+      if (request.body !== undefined) {
+        body = JSON.stringify(request.body);
+        headers['content-type'] = 'application/json';
+        if (request.signature !== false) {
+          const signed = request.signed_body !== undefined ? JSON.stringify(request.signed_body) : body;
+          headers['x-twitter-webhooks-signature'] = 'sha256=' + crypto
+            .createHmac('sha256', fixture.consumer_secret)
+            .update(signed)
+            .digest('base64');
+        }
+      }
+
+      const res = await fetch(url, { method: request.method || 'GET', headers, body });
+      const text = await res.text();
+      requests.push({
+        label: request.label,
+        status: res.status,
+        body: text ? JSON.parse(text) : null,
+        mentions: mentions.slice(received)
+      });
+    }
+    return { requests };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Pipeline stand-in whose compose/publish outcomes come from the fixture, per mention
+ */
+function scriptedPipeline(jobs) {
+  const scripts = Object.fromEntries(jobs.map(j => [j.mention.tweet.id, j]));
+  const calls = {};
+
+  function outcome(mentionId, step) {
+    const counts = calls[mentionId] ||= { compose: 0, post: 0 };
+    const result = (scripts[mentionId]?.[step] || [])[counts[step]];
+    counts[step]++;
+    if (result?.error) throw new Error(result.error);
+    return result;
+  }
+
+  return {
+    calls,
+    async prepare(tweet, author) {
+      return { ...tweet, author };
+    },
+    async assess() {
+      return { label: 'normal', action: 'reply' };
+    },
+    async research(mention) {
+      return { mentionId: mention.id, mentionText: mention.text };
+    },
+    async compose(context, template = null) {
+      const result = outcome(context.mentionId, 'compose');
+      return { replyText: result?.reply || `Reply to ${context.mentionId}`, template };
+    },
+    async publish(mention) {
+      const result = outcome(mention.id, 'post');
+      return result?.reply_id || `reply-${mention.id}`;
+    },
+    async muteAuthor() {}
+  };
+}
+
+async function queueScenario(fixture) {
+  for (const { mention, seed, replied } of fixture.jobs) {
+    await enqueueJob(mention.tweet.id, 'replay', mention);
+    const [job] = await listJobs(null, 1);
+    if (seed) await updateJob(job.id, seed);
+    if (replied) await recordRepliedMention(mention.tweet.id, mention.tweet.conversation_id, mention.tweet.author_id);
+  }
+
+  const pipeline = scriptedPipeline(fixture.jobs);
+  const needsApproval = new Set(fixture.jobs.filter(j => j.approval).map(j => j.mention.tweet.id));
+  const samples = [];
+  const experiments = fixture.experiment && {
+    assign: () => ({ experimentId: fixture.experiment.id, variant: fixture.experiment.variant, template: fixture.experiment.template }),
+    async recordPost(mention, assignment, replyId) {
+      samples.push({ mention: mention.id, variant: assignment.variant, reply_id: replyId });
+    }
+  };
+  const queue = createJobQueue({
+    pipeline,
+    policy: {
+      evaluate: async () => ({ allowed: true }),
+      approvalReasons: context => (needsApproval.has(context.mentionId) ? ['Approval required for every reply'] : [])
+    },
+    experiments,
+    maxAttempts: fixture.queue.max_attempts,
+    retryDelayMs: fixture.queue.retry_delay_ms,
+    postIntervalMs: 0
+  });
+
+  // A fresh queue over the seeded rows is a restart
+  const resumed = await queue.resume();
+
+  const attempts = [];
+  for (let step = 0; step < 100; step++) {
+    const job = await queue.processNext();
+    if (!job) {
+      // Nothing due - skip the backoff wait instead of sleeping through it
+      const waiting = await listJobs('pending');
+      if (waiting.length === 0) break;
+      for (const w of waiting) await updateJob(w.id, { next_attempt_at: new Date().toISOString() });
+      continue;
+    }
+
+    const after = await getJob(job.id);
+    const attempt = { mention: after.mention_id, state: after.state, attempts: after.attempts, last_error: after.last_error };
+    if (after.state === 'pending') {
+      attempt.retry_in_s = Math.round((Date.parse(after.next_attempt_at) - Date.parse(after.updated_at)) / 1000);
+    }
+    attempts.push(attempt);
+  }
+
+  // Approving posts from a tick of its own - wait that out, then post whatever it left
+  const approvals = Object.fromEntries(fixture.jobs.filter(j => j.approval).map(j => [j.mention.tweet.id, j.approval]));
+  for (const draft of (await queue.drafts('pending', 1000)).filter(d => approvals[d.mention_id])) {
+    await queue.approve(draft.id, { text: approvals[draft.mention_id].text });
+  }
+  for (let wait = 0; wait < 100 && Object.keys(approvals).length > 0; wait++) {
+    const waiting = (await listJobs('pending')).filter(j => approvals[j.mention_id]);
+    if (waiting.length === 0) break;
+    if (!(await queue.processNext())) await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  const ids = fixture.jobs.map(j => j.mention.tweet.id);
+  const jobs = (await listJobs(null, 1000)).filter(j => ids.includes(j.mention_id)).reverse();
+  return {
+    resumed,
+    attempts,
+    jobs: jobs.map(j => ({
+      mention: j.mention_id,
+      state: j.state,
+      attempts: j.attempts,
+      reply_id: j.reply_id,
+      last_error: j.last_error,
+      calls: pipeline.calls[j.mention_id] || { compose: 0, post: 0 }
+    })),
+    dead_letters: (await queue.deadLetters()).map(j => ({ mention: j.mention_id, attempts: j.attempts, last_error: j.last_error })),
+    ...(experiments && { experiment_samples: samples })
+  };
+}
+
+async function policyScenario(fixture) {
+  for (const reply of fixture.history || []) {
+    await recordRepliedMention(reply.mention_id, reply.conversation_id, reply.author_id);
+    await addReply(reply.author_id, reply.mention_id, 'Earlier reply');
+  }
+
+  const asMention = ({ tweet, author: { account_age_days: ageDays, ...author } = {} }) => ({
+    ...tweet,
+    author: ageDays === undefined ? author : { ...author, created_at: new Date(Date.now() - ageDays * DAY).toISOString() }
+  });
+
+  const decisions = [];
+  for (const { label, rules, mention } of fixture.cases) {
+    const engine = createPolicyEngine({ policy: { rules: structuredClone(rules) } });
+    await engine.evaluate(asMention(mention));
+
+    const [stored] = await listPolicyDecisions({ mentionId: mention.tweet.id, limit: 1 });
+    decisions.push({
+      label,
+      allowed: stored.allowed,
+      rule_id: stored.rule_id,
+      reason: stored.reason,
+      trace: stored.trace
+    });
+  }
+
+  const rejected = (fixture.rejected || []).map(({ label, rules }) => {
+    try {
+      createPolicyEngine({ policy: { rules: structuredClone(rules) } });
+      return { label, error: null };
+    } catch (error) {
+      return { label, error: error.message };
+    }
+  });
+
+  const summary = { decisions, rejected };
+  if (fixture.reload) {
+    const { rules, update, mention } = fixture.reload;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-policy-'));
+    const file = path.join(dir, 'reply-policy.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ rules }));
+      const engine = createPolicyEngine({ file });
+      const before = await engine.evaluate(asMention(mention));
+
+      fs.writeFileSync(file, JSON.stringify({ rules: update }));
+      const later = new Date(Date.now() + 60 * 1000);
+      fs.utimesSync(file, later, later);
+      const after = await engine.evaluate(asMention(mention));
+
+      const outcome = ({ allowed, rule_id: ruleId, reason }) => ({ allowed, rule_id: ruleId, reason });
+      summary.reload = { before: outcome(before), after: outcome(after) };
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+  return summary;
+}
+
+/**
+ * One endpoint with Twitter's windowed budget - reset is a whole second, as in the headers
+ */
+function fakeRateLimitedV2({ limit, window_s: windowS = 900 }) {
+  const state = { remaining: limit, resetAt: 0 };
+  const received = [];
+  const resetIn = seconds => Math.ceil(Date.now() / 1000 + seconds) * 1000;
+
+  return {
+    received,
+    setBudget({ remaining, reset_in_s: resetInS }) {
+      state.remaining = remaining;
+      state.resetAt = resetIn(resetInS);
+    },
+    async get(path, params) {
+      if (Date.now() >= state.resetAt) {
+        state.remaining = limit;
+        state.resetAt = resetIn(windowS);
+      }
+      state.remaining = Math.max(0, state.remaining - 1);
+      received.push(params.label);
+      return {
+        data: { label: params.label },
+        headers: {
+          'x-rate-limit-limit': String(limit),
+          'x-rate-limit-remaining': String(state.remaining),
+          'x-rate-limit-reset': String(state.resetAt / 1000)
+        }
+      };
+    }
+  };
+}
+
+async function rateLimitScenario(fixture) {
+  const v2 = fakeRateLimitedV2(fixture.endpoint);
+  const client = createTwitterClient(v2, {
+    maxWaitMs: fixture.client.max_wait_ms,
+    researchReserve: fixture.client.research_reserve
+  });
+
+  const steps = [];
+  for (const step of fixture.steps) {
+    if (step.budget) v2.setBudget(step.budget);
+
+    const seen = v2.received.length;
+    const outcomes = await Promise.all(step.calls.map(({ label, priority }) =>
+      client.scope({ site: label, priority }).get(fixture.endpoint.path, { label }).then(
+        () => 'ok',
+        error => (isRateLimitError(error) ? 'rate limited' : `error: ${error.message}`)
+      )
+    ));
+
+    steps.push({
+      label: step.label,
+      order: v2.received.slice(seen),
+      outcomes: Object.fromEntries(step.calls.map(({ label }, i) => [label, outcomes[i]]))
+    });
+  }
+
+  const { limit, calls, delayed, rejected } = client.budgets()[endpointKey('GET', fixture.endpoint.path)];
+  return { steps, budget: { limit, calls, delayed, rejected } };
+}
+
+async function researchCacheScenario(fixture) {
+  let clock = Date.now();
+  const cache = createResearchCache({ ttlMs: fixture.cache.ttl_ms, staleMs: fixture.cache.stale_ms, now: () => clock });
+
+  const steps = [];
+  for (const { label, advance_ms: advance = 0, kind, name, variant = null, result } of fixture.steps) {
+    clock += advance;
+    let researched = false;
+    const research = async () => {
+      researched = true;
+      if (result?.error) throw new Error(result.error);
+      return structuredClone(result);
+    };
+
+    let served;
+    try {
+      const { value, hit } = await cache.get(kind, name, research, { variant });
+      served = { value, hit };
+    } catch (error) {
+      served = { error: error.message };
+    }
+    await cache.settle();
+
+    const entry = await getResearchCacheEntry(cacheKey(kind, name, variant));
+    steps.push({ label, ...served, researched, stored: entry ? entry.value : 'none' });
+  }
+
+  const { hits, staleHits, misses, revalidations, failures, errors } = cache.metrics();
+  return { steps, metrics: { hits, staleHits, misses, revalidations, failures, errors } };
+}
+
+/**
+ * tweets/search/recent over an id-ordered timeline: since_id, until_id and next_token
+ * paging, newest first
+ */
+function fakeSearchV2({ page_size: pageSize }) {
+  const timeline = [];
+  const searches = [];
+
+  return {
+    timeline,
+    searches,
+    async me() {
+      return { data: { username: 'graisonbot' } };
+    },
+    async get(endpoint, params) {
+      searches.push({ since_id: params.since_id || null, until_id: params.until_id || null, next_token: params.next_token || null });
+      await new Promise(resolve => setImmediate(resolve));
+      const matching = timeline
+        .filter(t => (!params.since_id || BigInt(t.id) > BigInt(params.since_id)) && (!params.until_id || BigInt(t.id) < BigInt(params.until_id)))
+        .reverse();
+      const start = Number(params.next_token || 0);
+      const next = start + pageSize < matching.length ? String(start + pageSize) : null;
+      return { data: matching.slice(start, start + pageSize), includes: { users: [] }, meta: next ? { next_token: next } : {} };
+    }
+  };
+}
+
+async function searchPollingScenario(fixture) {
+  const { max_pages: maxPages, first_id: firstId } = fixture.polling;
+  const v2 = fakeSearchV2(fixture.polling);
+  const post = n => {
+    for (let i = 0; i < n; i++) {
+      const id = String(BigInt(firstId) + BigInt(v2.timeline.length));
+      v2.timeline.push({ id, text: `@graisonbot mention ${id}`, author_id: '1700000000000000001', conversation_id: id, created_at: new Date().toISOString() });
+    }
+  };
+
+  const queued = [];
+  const createSource = () => createSearchPollingSource({
+    v2Client: v2,
+    onMention: async mention => { queued.push(mention.id); },
+    maxPages,
+    intervalMs: 60 * 60 * 1000
+  });
+
+  // The cursor sits just before the unread mentions, as a restart would find it
+  await setCursor('search_polling', String(BigInt(firstId) - 1n));
+  await setCursor('search_polling_backfill', '');
+  post(fixture.unread || 0);
+
+  let source = null;
+  const steps = [];
+  for (const { label, new_mentions: newMentions = 0, restart, concurrent = 1 } of fixture.steps) {
+    post(newMentions);
+    const searched = v2.searches.length;
+    const before = queued.length;
+
+    if (restart || !source) {
+      source = createSource();
+      await source.start();
+      source.stop();
+    } else {
+      await Promise.all(Array.from({ length: concurrent }, () => source.poll()));
+    }
+
+    const gap = await getCursor('search_polling_backfill');
+    steps.push({
+      label,
+      searches: v2.searches.slice(searched),
+      queued: queued.slice(before),
+      cursor: await getCursor('search_polling'),
+      gap: gap ? JSON.parse(gap) : null,
+      backfilling: source.status().backfilling
+    });
+  }
+
+  return { steps, queued: queued.length, distinct: new Set(queued).size, posted: v2.timeline.length };
+}
+
+async function authorProfileScenario(fixture) {
+  const { id: authorId, username } = fixture.author;
+  let sent = 0;
+
+  const steps = [];
+  for (const { label, mentions } of fixture.steps) {
+    for (const text of mentions) {
+      const id = `${authorId}-${++sent}`;
+      await noteInteraction(
+        { id, text, author_id: authorId, conversation_id: id, author: { id: authorId, username } },
+        { label: 'normal', action: 'reply' }
+      );
+    }
+
+    const profile = await loadAuthorProfile(authorId);
+    const names = terms => terms.map(({ name, count }) => `${name} ${count}`);
+    steps.push({ label, topics: names(profile.topics), tickers: names(profile.tickers) });
+  }
+  return { steps };
+}
+
+export const SCENARIOS = {
+  webhook: webhookScenario,
+  queue: queueScenario,
+  policy: policyScenario,
+  rate_limits: rateLimitScenario,
+  research_cache: researchCacheScenario,
+  search_polling: searchPollingScenario,
+  author_profile: authorProfileScenario
+};
+
+/**
+ * Run a scenario fixture and return its summary
+ */
+export async function runScenario(fixture, clients) {
+  const scenario = SCENARIOS[fixture.scenario];
+  if (!scenario) throw new Error(`Unknown scenario ${fixture.scenario} (expected ${Object.keys(SCENARIOS).join(', ')})`);
+  return scenario(fixture, clients);
+}
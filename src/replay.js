@@ -0,0 +1,327 @@
+/**
+ * Replay Harness
+ * Drives the mention pipeline (stage 0 safety → stage 1 thread origin → stage 2 research
+ * → stage 3 tickers → composition and post-processing) against recorded fixtures instead
+ * of the network. Nothing is posted.
+ *
+ * A fixture (fixtures/replay/<name>.json) holds:
+ * - mention:   { tweet, author } as a source would hand it to the queue
+ * - twitter:   recorded v2Client.get calls  [{ endpoint, params, response }]
+ * - web:       recorded fetch calls (research providers, linked pages)  [{ url, status, body, headers? }] -
+ *              body is JSON, or a string for HTML pages
+ * - dns:       host → address for the page fetcher's public-address check; other hosts
+ *              resolve to a documentation address (203.0.113.10)
+ * - anthropic: recorded responses, in call order  [{ request, response }]
+ * - env:       env vars the run depends on (BRAVE_API_KEY, ...)
+ * - expected:  summary of the run (see summarizeRun) that replays must reproduce
+ *
+ * A fixture with a `scenario` instead drives one component - the webhook router, the job
+ * queue, the reply policy, the rate-limited Twitter client, the research cache, search
+ * polling or author profiles - through a scripted run (replay-scenarios.js); its expected
+ * is that scenario's summary.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createPageFetcher } from './pages.js';
+import { runScenario } from './replay-scenarios.js';
+
+export const FIXTURE_DIR = path.join(process.cwd(), 'fixtures', 'replay');
+
+// Env vars that change pipeline behaviour - replays only see what the fixture sets
+const FIXTURE_ENV_KEYS = ['BRAVE_API_KEY'];
+const FIXTURE_ADDRESS = '203.0.113.10';
+
+/**
+ * Twitter calls match on endpoint + search query; other params are informational
+ */
+function twitterKey(endpoint, params = {}) {
+  return `${endpoint} ${params.query || ''}`.trim();
+}
+
+/**
+ * Local stand-ins for v2Client, anthropic and fetch that answer from a fixture.
+ * Calls with no recorded answer throw, and are listed in `unmatched`.
+ */
+export function createFixtureClients(fixture) {
+  const unmatched = [];
+  let anthropicCalls = 0;
+
+  const v2Client = {
+    async get(endpoint, params = {}) {
+      const key = twitterKey(endpoint, params);
+      const hit = (fixture.twitter || []).find(c => twitterKey(c.endpoint, c.params) === key);
+      if (!hit) {
+        unmatched.push(`GET ${key}`);
+        throw new Error(`No fixture for GET ${key}`);
+      }
+      if (hit.error) throw new Error(hit.error);
+      return structuredClone(hit.response);
+    },
+    async post(endpoint) {
+      throw new Error(`Replay never posts (POST ${endpoint})`);
+    },
+    async me() {
+      throw new Error('Replay has no authenticated user');
+    }
+  };
+
+  const anthropic = {
+    messages: {
+      async create() {
+        const recorded = (fixture.anthropic || [])[anthropicCalls++];
+        if (!recorded) {
+          unmatched.push(`anthropic call #${anthropicCalls}`);
+          throw new Error(`No Anthropic fixture for call #${anthropicCalls}`);
+        }
+        if (recorded.error) throw new Error(recorded.error);
+        return structuredClone(recorded.response);
+      }
+    }
+  };
+
+  async function fetch(url) {
+    const hit = (fixture.web || []).find(w => w.url === String(url));
+    if (!hit) {
+      unmatched.push(`FETCH ${url}`);
+      throw new Error(`No fixture for ${url}`);
+    }
+    const html = typeof hit.body === 'string';
+    return new Response(html ? hit.body : JSON.stringify(hit.body ?? null), {
+      status: hit.status,
+      headers: { 'content-type': html ? 'text/html' : 'application/json', ...hit.headers }
+    });
+  }
+
+  async function lookup(host) {
+    return [{ address: fixture.dns?.[host] || FIXTURE_ADDRESS }];
+  }
+
+  return { v2Client, anthropic, fetch, lookup, unmatched };
+}
+
+/**
+ * Wrap live clients so every call and response is captured as fixture data.
+ * Posting is refused - recording a mention never replies to it.
+ */
+export function createRecordingClients({ v2Client, anthropic, fetch }) {
+  const recording = { twitter: [], web: [], anthropic: [] };
+
+  const recordingV2Client = {
+    async get(endpoint, params = {}) {
+      try {
+        const response = await v2Client.get(endpoint, params);
+        recording.twitter.push({ endpoint, params, response: { data: response.data, includes: response.includes, meta: response.meta } });
+        return response;
+      } catch (e) {
+        recording.twitter.push({ endpoint, params, error: e.message });
+        throw e;
+      }
+    },
+    async post(endpoint) {
+      throw new Error(`Recording never posts (POST ${endpoint})`);
+    },
+    async me() {
+      return v2Client.me();
+    }
+  };
+
+  const recordingAnthropic = {
+    messages: {
+      async create(params) {
+        const request = { model: params.model, system: (params.system || '').substring(0, 80) };
+        try {
+          const msg = await anthropic.messages.create(params);
+          recording.anthropic.push({ request, response: { content: msg.content, usage: msg.usage } });
+          return msg;
+        } catch (e) {
+          recording.anthropic.push({ request, error: e.message });
+          throw e;
+        }
+      }
+    }
+  };
+
+  async function recordingFetch(url, options) {
+    const res = await fetch(url, options);
+    const text = await res.clone().text().catch(() => null);
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // HTML pages are kept as text
+    }
+    recording.web.push({ url: String(url), status: res.status, body });
+    return res;
+  }
+
+  return { v2Client: recordingV2Client, anthropic: recordingAnthropic, fetch: recordingFetch, recording };
+}
+
+/**
+ * The queue's path for one mention, minus the policy check and posting
+ */
+export async function runMention(pipeline, { tweet, author }) {
+  const mention = await pipeline.prepare(tweet, author);
+  const assessment = await pipeline.assess(mention);
+
+  if (assessment.action !== 'reply') {
+    return { mention, assessment, context: null, replyText: assessment.replyText || null };
+  }
+
+  const context = await pipeline.research(mention);
+  const { replyText, template } = await pipeline.compose(context);
+  return { mention, assessment, context, replyText, template };
+}
+
+/**
+ * The parts of a run each stage is responsible for
+ */
+export function summarizeRun({ assessment, context, replyText, template = null }) {
+  const thread = context?.threadOriginContext;
+  const knowledge = context?.contextKnowledge;
+
+  return {
+    moderation: { label: assessment.label, action: assessment.action },
+    stage1: thread
+      ? {
+        coreMessage: thread.coreMessage,
+        originalTopic: thread.originalTopic,
+        threadLength: thread.threadLength,
+        pathLength: thread.pathLength,
+        branchCount: thread.branchCount,
+        stance: thread.analysis.stance,
+        drift: thread.analysis.drift.level,
+        classifier: thread.analysis.classifier
+      }
+      : null,
+    stage2: knowledge
+      ? {
+        topics: knowledge.topics.map(t => `${t.type}:${t.name}`),
+        research: knowledge.research.map(r => ({ topic: r.topic, sources: r.sources })),
+        linked: (knowledge.linked || []).map(e => ({
+          tweet: e.tweetId,
+          quotes: e.quotes.length,
+          media: e.media.map(m => m.altText || m.type),
+          links: e.links.map(l => l.title || l.url)
+        }))
+      }
+      : null,
+    stage3: context ? context.tickerData : null,
+    followUp: !!context?.followUpContext,
+    template,
+    reply: replyText
+  };
+}
+
+/**
+ * Paths where actual differs from expected, e.g. "stage1.coreMessage: expected ..., got ..."
+ */
+export function diffSummaries(expected, actual, prefix = '') {
+  if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+
+  const bothObjects = expected && actual && typeof expected === 'object' && typeof actual === 'object'
+    && Array.isArray(expected) === Array.isArray(actual);
+  if (!bothObjects) {
+    return [`${prefix || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+  }
+
+  const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  return [...keys].flatMap(key => diffSummaries(expected[key], actual[key], prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Swap in fixture env vars and fetch for the duration of fn
+ */
+async function withFixtureGlobals(fixture, fetchImpl, fn) {
+  const savedEnv = Object.fromEntries(FIXTURE_ENV_KEYS.map(k => [k, process.env[k]]));
+  const savedFetch = globalThis.fetch;
+
+  for (const key of FIXTURE_ENV_KEYS) {
+    if (fixture.env?.[key] !== undefined) process.env[key] = fixture.env[key];
+    else delete process.env[key];
+  }
+  globalThis.fetch = fetchImpl;
+
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = savedFetch;
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+/**
+ * Replay one fixture. createPipeline is injected so callers control module loading.
+ */
+export async function replayFixture(fixture, { createPipeline }) {
+  const clients = createFixtureClients(fixture);
+
+  let summary = null;
+  let error = null;
+  try {
+    if (fixture.scenario) {
+      summary = await runScenario(fixture, clients);
+    } else {
+      // Every fixture does its own research - nothing carries over from the previous one
+      const pipeline = createPipeline({
+        v2Client: clients.v2Client,
+        anthropic: clients.anthropic,
+        researchCache: null,
+        pageFetcher: createPageFetcher({ lookup: clients.lookup })
+      });
+      const run = await withFixtureGlobals(fixture, clients.fetch, () => runMention(pipeline, fixture.mention));
+      summary = summarizeRun(run);
+    }
+  } catch (e) {
+    error = e.message;
+  }
+
+  const diff = error || !fixture.expected ? [] : diffSummaries(fixture.expected, summary);
+  return {
+    name: fixture.name,
+    passed: !error && !!fixture.expected && diff.length === 0 && clients.unmatched.length === 0,
+    summary,
+    diff,
+    unmatched: clients.unmatched,
+    error
+  };
+}
+
+/**
+ * Record a live mention as a fixture (research and composition run, nothing is posted)
+ */
+export async function recordFixture(name, mention, liveClients, { createPipeline }) {
+  const clients = createRecordingClients(liveClients);
+  const pipeline = createPipeline({ v2Client: clients.v2Client, anthropic: clients.anthropic, researchCache: null });
+
+  const env = Object.fromEntries(
+    FIXTURE_ENV_KEYS.filter(k => process.env[k]).map(k => [k, 'recorded'])
+  );
+
+  const run = await withFixtureGlobals({ env: process.env }, clients.fetch, () => runMention(pipeline, mention));
+
+  return {
+    name,
+    description: `Recorded from mention ${mention.tweet.id}`,
+    env,
+    mention,
+    ...clients.recording,
+    expected: summarizeRun(run)
+  };
+}
+
+export function loadFixtures(dir = FIXTURE_DIR, names = []) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  return files
+    .map(file => ({ file: path.join(dir, file), fixture: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }))
+    .filter(({ fixture }) => names.length === 0 || names.includes(fixture.name));
+}
+
+export function saveFixture(file, fixture) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+}
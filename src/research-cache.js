@@ -0,0 +1,164 @@
+/**
+ * Research Cache
+ * Topic research (stage 2) and ticker research (stage 3) are kept per topic/ticker, so
+ * the same $TICKER or @project mentioned again minutes later doesn't cost another search.
+ * - fresh for RESEARCH_CACHE_TTL_MS (default 30 min): served as is
+ * - stale for RESEARCH_CACHE_STALE_MS after that (default 2h): still served, while a
+ *   fresh copy is fetched in the background
+ * - older: researched again before replying
+ *
+ * Linked pages summarized for link context (pages.js) are cached the same way, by URL.
+ * A variant keeps research done with less in its own entry - topics researched without
+ * web search (reduced research depth, quota.js) never stand in for a full answer.
+ *
+ * "Nothing found" is cached too, a failure is not: research that throws (a search errored or
+ * timed out) or comes back with incomplete: true (some providers failed) is only used for
+ * the mention that asked. A stale entry whose revalidation fails keeps being served.
+ * Entries live in the research_cache table, so they're shared by every instance on the
+ * same database. RESEARCH_CACHE_TTL_MS=0 turns it off.
+ */
+
+import { logger } from './logger.js';
+import {
+  getResearchCacheEntry,
+  saveResearchCacheEntry,
+  recordResearchCacheHit,
+  listResearchCacheEntries,
+  deleteResearchCacheEntries,
+  pruneResearchCache
+} from './db.js';
+
+const TTL = parseInt(process.env.RESEARCH_CACHE_TTL_MS || String(30 * 60 * 1000), 10);
+const STALE = parseInt(process.env.RESEARCH_CACHE_STALE_MS || String(2 * 60 * 60 * 1000), 10);
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+export const CACHE_KINDS = ['topic', 'ticker', 'page'];
+
+export function cacheKey(kind, name, variant = null) {
+  return `${kind}:${String(name).trim().toLowerCase()}${variant ? `#${variant}` : ''}`;
+}
+
+/**
+ * now: the clock (replay fixtures step it instead of waiting)
+ */
+export function createResearchCache({ ttlMs = TTL, staleMs = STALE, now: clock = Date.now } = {}) {
+  const enabled = ttlMs > 0;
+  const stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, failures: 0, errors: 0 };
+  // One research call per key at a time - concurrent mentions share it
+  const inFlight = new Map();
+  let lastPrune = 0;
+
+  async function store(key, kind, name, value) {
+    const now = clock();
+    try {
+      await saveResearchCacheEntry({
+        cacheKey: key,
+        kind,
+        name,
+        value,
+        fetchedAt: new Date(now).toISOString(),
+        freshUntil: new Date(now + ttlMs).toISOString(),
+        staleUntil: new Date(now + ttlMs + staleMs).toISOString()
+      });
+      if (now - lastPrune > PRUNE_INTERVAL) {
+        lastPrune = now;
+        await pruneResearchCache(new Date(now));
+      }
+    } catch (error) {
+      stats.errors++;
+      logger.warn(`Research cache write failed for ${key}`, { error: error.message });
+    }
+  }
+
+  function load(key, kind, name, research) {
+    if (!inFlight.has(key)) {
+      const pending = (async () => {
+        try {
+          const value = await research();
+          if (value?.incomplete) stats.failures++;
+          else await store(key, kind, name, value);
+          return value;
+        } catch (error) {
+          stats.failures++;
+          throw error;
+        } finally {
+          inFlight.delete(key);
+        }
+      })();
+      inFlight.set(key, pending);
+    }
+    return inFlight.get(key);
+  }
+
+  async function lookup(key) {
+    try {
+      return await getResearchCacheEntry(key);
+    } catch (error) {
+      stats.errors++;
+      logger.warn(`Research cache read failed for ${key}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Cached result of research() for this topic/ticker (and variant, see cacheKey).
+   * Returns { value, hit } - hit is false when research() ran for this call.
+   */
+  async function get(kind, name, research, { variant = null } = {}) {
+    if (!enabled) return { value: await research(), hit: false };
+
+    const key = cacheKey(kind, name, variant);
+    const entry = await lookup(key);
+    const now = clock();
+
+    if (entry && now < Date.parse(entry.stale_until)) {
+      const fresh = now < Date.parse(entry.fresh_until);
+      if (fresh) {
+        stats.hits++;
+      } else {
+        stats.staleHits++;
+        if (!inFlight.has(key)) {
+          stats.revalidations++;
+          load(key, kind, name, research).catch(error => {
+            logger.warn(`Research cache revalidation failed for ${key} - keeping the cached entry`, { error: error.message });
+          });
+        }
+      }
+      recordResearchCacheHit(key).catch(() => {});
+      return { value: entry.value, hit: true };
+    }
+
+    stats.misses++;
+    return { value: await load(key, kind, name, research), hit: false };
+  }
+
+  function metrics() {
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    return {
+      enabled,
+      ttl_ms: ttlMs,
+      stale_ms: staleMs,
+      ...stats,
+      hit_rate: lookups > 0 ? Number(((stats.hits + stats.staleHits) / lookups).toFixed(3)) : null
+    };
+  }
+
+  return {
+    get,
+    metrics,
+    /**
+     * Resolves once background revalidations are done
+     */
+    settle: () => Promise.allSettled([...inFlight.values()]),
+    list: listResearchCacheEntries,
+    entry: key => getResearchCacheEntry(key),
+    purge: deleteResearchCacheEntries
+  };
+}
+
+/**
+ * Run research through the cache when there is one
+ */
+export function fromCache(cache, kind, name, research, options = {}) {
+  return cache ? cache.get(kind, name, research, options) : research().then(value => ({ value, hit: false }));
+}
@@ -0,0 +1,34 @@
+/**
+ * Brave Web Search provider
+ * Needs BRAVE_API_KEY. Recency comes from Brave's freshness filter (settings.freshness,
+ * e.g. "pw" past week, "pm" past month) rather than words added to the query.
+ */
+
+import { fetchJson } from './fetch-json.js';
+
+const API_URL = 'https://api.search.brave.com/res/v1/web/search';
+
+export function createBraveProvider() {
+  return {
+    name: 'brave',
+    label: 'BRAVE',
+    configured: () => !!process.env.BRAVE_API_KEY,
+
+    async search(topic, { settings, signal }) {
+      const params = new URLSearchParams({ q: topic.name.replace('@', ''), count: String(settings.max_results ?? 5) });
+      if (settings.freshness) params.set('freshness', settings.freshness);
+
+      const data = await fetchJson(`${API_URL}?${params}`, {
+        headers: { 'X-Subscription-Token': process.env.BRAVE_API_KEY },
+        signal
+      });
+
+      return (data.web?.results || []).map((r, i) => ({
+        title: r.title,
+        text: (r.description || '').substring(0, 100),
+        url: r.url || null,
+        score: 1 / (i + 1)
+      }));
+    }
+  };
+}
@@ -0,0 +1,12 @@
+/**
+ * JSON GET for the web research providers. Goes through the global fetch at call time,
+ * so replays answer from the fixture's recorded responses.
+ */
+export async function fetchJson(url, { headers = {}, signal } = {}) {
+  const res = await fetch(url, {
+    headers: { 'Accept': 'application/json', ...headers },
+    signal
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.json();
+}
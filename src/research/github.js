@@ -0,0 +1,52 @@
+/**
+ * GitHub provider
+ * Repo activity for a project or technology: the most-starred repos named after it (or
+ * owned by an org of that name), with stars and when they were last pushed to. Repos that
+ * saw a push in the last 90 days rank above dormant ones.
+ *
+ * GITHUB_TOKEN is optional - without it search allows 10 requests a minute.
+ */
+
+import { fetchJson } from './fetch-json.js';
+
+const API_URL = 'https://api.github.com/search/repositories';
+const SEARCH_RESULTS = 10; // searched, before keeping the ones named after the topic
+const ACTIVE_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+const normalize = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export function createGitHubProvider() {
+  return {
+    name: 'github',
+    label: 'GITHUB',
+
+    async search(topic, { settings, signal }) {
+      const name = topic.name.replace('@', '');
+      const headers = {
+        'Accept': 'application/vnd.github+json',
+        'User-Agent': 'graisonbot-research'
+      };
+      if (process.env.GITHUB_TOKEN) headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+
+      const data = await fetchJson(`${API_URL}?q=${encodeURIComponent(name)}&sort=stars&order=desc&per_page=${SEARCH_RESULTS}`, { headers, signal });
+
+      const wanted = normalize(name);
+      return (data.items || [])
+        .filter(repo => normalize(repo.name) === wanted || normalize(repo.owner?.login) === wanted)
+        .map((repo, i) => {
+          const active = repo.pushed_at && Date.now() - new Date(repo.pushed_at).getTime() < ACTIVE_DAYS * DAY;
+          return {
+            title: repo.full_name,
+            text: [
+              repo.description ? repo.description.substring(0, 100) : null,
+              `${repo.stargazers_count} stars`,
+              repo.pushed_at ? `last push ${repo.pushed_at.slice(0, 10)}` : null
+            ].filter(Boolean).join(' - '),
+            url: repo.html_url,
+            score: (1 / (i + 1)) * (active ? 1 : 0.5)
+          };
+        });
+    }
+  };
+}
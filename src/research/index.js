@@ -0,0 +1,227 @@
+/**
+ * Research Providers
+ * Stage 2 researches each topic through every enabled provider that covers its type, in
+ * parallel, then merges what comes back into one ranked list of findings:
+ * - brave:          web search (BRAVE_API_KEY)
+ * - twitter:        recent tweets about the topic
+ * - market:         price / market cap for projects and chains with a token (CoinGecko)
+ * - github:         repo activity for projects and technologies
+ * - knowledge_base: hand-written notes (config/knowledge-base.json)
+ *
+ * A provider is { name, label, configured?(), search(topic, { settings, signal, v2Client }) }
+ * and search resolves to [{ title, text, url, score }] - score is its own 0-1 relevance.
+ * config/research.json (RESEARCH_CONFIG_FILE), re-read on change, sets per provider:
+ * enabled, types (entity types it covers, default all), weight (multiplies its scores),
+ * timeout_ms, daily_limit (searches per UTC day, counted per process) and max_results.
+ * max_findings caps what one topic keeps after merging.
+ *
+ * Findings keep their provider's tag ([BRAVE-1], [MARKET-1], ...) and source URL, so the
+ * prompt and the stored research say where each line came from.
+ *
+ * A provider that fails or times out isn't the same as one that found nothing: the result
+ * lists it under failed (incomplete: true), and if nothing else found anything research
+ * throws - the research cache only keeps complete answers.
+ */
+
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from '../config.js';
+import { ENTITY_TYPES } from '../stages/stage2-topic-extraction.js';
+import { createBraveProvider } from './brave.js';
+import { createTwitterSearchProvider } from './twitter.js';
+import { createMarketDataProvider } from './market.js';
+import { createGitHubProvider } from './github.js';
+import { createKnowledgeBaseProvider } from './knowledge-base.js';
+
+const DEFAULT_RESEARCH_FILE = path.join(CONFIG_DIR, 'research.json');
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_RESULTS = 3;
+const MAX_FINDINGS = 6;
+
+const PROVIDERS = {
+  brave: createBraveProvider,
+  twitter: createTwitterSearchProvider,
+  market: createMarketDataProvider,
+  github: createGitHubProvider,
+  knowledge_base: createKnowledgeBaseProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+function validateResearchConfig(config) {
+  for (const [name, settings] of Object.entries(config.providers || {})) {
+    if (!PROVIDERS[name]) throw new Error(`Unknown research provider ${name} (expected ${PROVIDER_NAMES.join(', ')})`);
+    const unknownTypes = (settings.types || []).filter(t => !ENTITY_TYPES.includes(t));
+    if (unknownTypes.length > 0) throw new Error(`providers.${name}.types: unknown ${unknownTypes.join(', ')}`);
+    for (const key of ['timeout_ms', 'max_results']) {
+      if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] > 0)) {
+        throw new Error(`providers.${name}.${key} must be a whole number > 0`);
+      }
+    }
+    const limit = settings.daily_limit;
+    if (limit !== undefined && limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+      throw new Error(`providers.${name}.daily_limit must be a whole number >= 0 (or null for no limit)`);
+    }
+    if (settings.weight !== undefined && !(Number.isFinite(settings.weight) && settings.weight >= 0)) {
+      throw new Error(`providers.${name}.weight must be a number >= 0`);
+    }
+  }
+  const max = config.max_findings;
+  if (max !== undefined && !(Number.isInteger(max) && max > 0)) throw new Error('max_findings must be a whole number > 0');
+  return config;
+}
+
+export function loadResearchConfig(file = process.env.RESEARCH_CONFIG_FILE || DEFAULT_RESEARCH_FILE) {
+  return watchedConfig(file, { label: 'RESEARCH', validate: validateResearchConfig });
+}
+
+const utcDay = () => new Date().toISOString().slice(0, 10);
+
+function timeout(signal, ms) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error(`timed out after ${ms}ms`)), { once: true });
+  });
+}
+
+/**
+ * Merge every provider's results: weighted score, highest first, dropping repeats - the
+ * same text, or a URL another provider already found (one provider's results can share
+ * a URL, e.g. knowledge base notes from one source) - then tag per provider in the final order
+ */
+export function rankFindings(results, maxFindings = MAX_FINDINGS) {
+  const urls = new Map(); // url → provider that found it
+  const texts = new Set();
+  const findings = results
+    .slice()
+    .sort((a, b) => b.score - a.score)
+    .filter(f => {
+      const text = f.text.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (texts.has(text) || (f.url && urls.has(f.url) && urls.get(f.url) !== f.provider)) return false;
+      texts.add(text);
+      if (f.url) urls.set(f.url, f.provider);
+      return true;
+    })
+    .slice(0, maxFindings);
+
+  const counts = {};
+  return findings.map(f => ({ ...f, tag: `${f.label}-${counts[f.label] = (counts[f.label] || 0) + 1}` }));
+}
+
+/**
+ * A finding as one line of research text
+ */
+export function formatFinding(finding) {
+  return `[${finding.tag}] ${finding.title ? `${finding.title}: ${finding.text}` : finding.text}`;
+}
+
+export function createResearchProviders({ config = loadResearchConfig(), providers = PROVIDERS } = {}) {
+  config(); // fail at startup, not on the first mention
+  const registry = Object.fromEntries(Object.entries(providers).map(([name, create]) => [name, create()]));
+  const usage = {}; // provider → today's counters
+
+  function today(name) {
+    const day = utcDay();
+    if (usage[name]?.day !== day) {
+      usage[name] = { day, searches: 0, results: 0, failures: 0, timeouts: 0, skipped: 0 };
+    }
+    return usage[name];
+  }
+
+  function covers(settings, topic) {
+    return !settings.types || settings.types.includes(topic.type);
+  }
+
+  /**
+   * The provider's weighted results, or null if it failed or timed out
+   */
+  async function runProvider(provider, settings, topic, v2Client) {
+    const counters = today(provider.name);
+    const limit = settings.daily_limit ?? null;
+    if (limit !== null && counters.searches >= limit) {
+      if (counters.skipped++ === 0) console.log(`[RESEARCH-${provider.label}] Daily limit of ${limit} searches reached - skipping until tomorrow (UTC)`);
+      return [];
+    }
+    counters.searches++;
+
+    const ms = settings.timeout_ms ?? DEFAULT_TIMEOUT_MS;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ms);
+    const { signal } = controller;
+    try {
+      const results = await Promise.race([
+        provider.search(topic, { settings, signal, v2Client }),
+        timeout(signal, ms)
+      ]);
+      const kept = results.slice(0, settings.max_results ?? DEFAULT_MAX_RESULTS);
+      counters.results += kept.length;
+      if (kept.length > 0) console.log(`[RESEARCH-${provider.label}] ✓ ${kept.length} results for ${topic.name}`);
+
+      return kept.map(r => ({
+        ...r,
+        provider: provider.name,
+        label: provider.label,
+        score: (settings.weight ?? 1) * (r.score ?? 1)
+      }));
+    } catch (e) {
+      if (signal.aborted) counters.timeouts++;
+      else counters.failures++;
+      console.log(`[RESEARCH-${provider.label}] Error for ${topic.name}: ${e.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * { topic, type, research, sources, findings } for a topic, or null if no provider
+   * found anything. skip: provider names to leave out this time (research depth).
+   * When providers failed the result also has incomplete: true and failed: [names] - or,
+   * if the others found nothing either, research throws.
+   */
+  async function research(topic, { v2Client = null, skip = [] } = {}) {
+    const { providers: settings = {}, max_findings: maxFindings = MAX_FINDINGS } = config();
+    const active = Object.entries(settings)
+      .filter(([name, s]) => s.enabled !== false && !skip.includes(name) && covers(s, topic))
+      .map(([name, s]) => [registry[name], s])
+      .filter(([provider]) => provider && (!provider.configured || provider.configured()));
+
+    const results = await Promise.all(active.map(([provider, s]) => runProvider(provider, s, topic, v2Client)));
+    const failed = active.filter((_, i) => results[i] === null).map(([provider]) => provider.name);
+    const findings = rankFindings(results.filter(Boolean).flat(), maxFindings);
+
+    if (findings.length === 0) {
+      if (failed.length > 0) throw new Error(`No findings for ${topic.name} - ${failed.join(', ')} failed`);
+      console.log(`[RESEARCH] No data found for ${topic.name}`);
+      return null;
+    }
+
+    return {
+      topic: topic.name,
+      type: topic.type,
+      research: findings.map(formatFinding).join('\n\n'),
+      sources: findings.length,
+      findings: findings.map(({ provider, tag, title, text, url, score }) => ({ provider, tag, title, text, url, score: Number(score.toFixed(3)) })),
+      ...(failed.length > 0 && { incomplete: true, failed })
+    };
+  }
+
+  /**
+   * Per provider: whether it's on, and today's searches against its limit
+   */
+  function status() {
+    const settings = config().providers || {};
+    return Object.fromEntries(Object.keys(registry).map(name => {
+      const s = settings[name] || {};
+      const provider = registry[name];
+      const { day, ...counts } = today(name);
+      return [name, {
+        enabled: !!settings[name] && s.enabled !== false,
+        configured: provider.configured ? provider.configured() : true,
+        types: s.types || ENTITY_TYPES,
+        daily_limit: s.daily_limit ?? null,
+        today: counts
+      }];
+    }));
+  }
+
+  return { research, status };
+}
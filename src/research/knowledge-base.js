@@ -0,0 +1,59 @@
+/**
+ * Local knowledge base provider
+ * Hand-written notes (config/knowledge-base.json, or settings.file) for topics the bot
+ * should know about without searching - background that search results rarely state.
+ * Entries match the topic by name or alias, case-insensitively; the file is re-read
+ * when it changes.
+ */
+
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from '../config.js';
+
+const DEFAULT_FILE = 'knowledge-base.json';
+
+function validateKnowledgeBase(config) {
+  if (!Array.isArray(config.entries)) throw new Error('entries must be a list');
+  for (const entry of config.entries) {
+    if (typeof entry.name !== 'string' || !entry.name.trim()) throw new Error('every entry needs a name');
+    if (!Array.isArray(entry.facts) || entry.facts.some(f => typeof f !== 'string')) {
+      throw new Error(`${entry.name}: facts must be a list of strings`);
+    }
+    if (entry.aliases !== undefined && !Array.isArray(entry.aliases)) {
+      throw new Error(`${entry.name}: aliases must be a list`);
+    }
+  }
+  return config;
+}
+
+export function createKnowledgeBaseProvider() {
+  const files = new Map(); // path → watched config
+
+  function entries(file) {
+    const resolved = path.resolve(CONFIG_DIR, file);
+    if (!files.has(resolved)) {
+      files.set(resolved, watchedConfig(resolved, { label: 'KNOWLEDGE-BASE', validate: validateKnowledgeBase }));
+    }
+    return files.get(resolved)().entries;
+  }
+
+  return {
+    name: 'knowledge_base',
+    label: 'KB',
+
+    async search(topic, { settings }) {
+      const names = [topic.name, topic.handle && `@${topic.handle}`, topic.displayName]
+        .filter(Boolean)
+        .map(n => n.toLowerCase());
+      const entry = entries(settings.file || DEFAULT_FILE)
+        .find(e => [e.name, ...(e.aliases || [])].some(alias => names.includes(alias.toLowerCase())));
+      if (!entry) return [];
+
+      return entry.facts.map(fact => ({
+        title: null,
+        text: fact,
+        url: entry.source || null,
+        score: 1
+      }));
+    }
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Market data provider (CoinGecko API, or anything that speaks it - settings.base_url)
+ * Price, 24h change, market cap and rank for a project or chain that has a token.
+ * The coin has to match the topic by name, symbol or id - "Base" doesn't pick up some
+ * unrelated BASE token by fuzzy search.
+ *
+ * COINGECKO_API_KEY is optional (keyless calls get the public rate limit); it's sent in
+ * settings.api_key_header (x-cg-demo-api-key by default, x-cg-pro-api-key for paid plans).
+ */
+
+import { fetchJson } from './fetch-json.js';
+
+const BASE_URL = 'https://api.coingecko.com/api/v3';
+
+const normalize = s => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const usd = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 });
+
+function formatPrice(price) {
+  if (price >= 1) return price.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return price.toPrecision(3);
+}
+
+export function createMarketDataProvider() {
+  return {
+    name: 'market',
+    label: 'MARKET',
+
+    async search(topic, { settings, signal }) {
+      const base = settings.base_url || BASE_URL;
+      const headers = process.env.COINGECKO_API_KEY
+        ? { [settings.api_key_header || 'x-cg-demo-api-key']: process.env.COINGECKO_API_KEY }
+        : {};
+      const wanted = normalize(topic.name);
+
+      const found = await fetchJson(`${base}/search?query=${encodeURIComponent(topic.name.replace('@', ''))}`, { headers, signal });
+      const coin = (found.coins || []).find(c => [c.name, c.symbol, c.id].some(v => normalize(v) === wanted));
+      if (!coin) return [];
+
+      const [market] = await fetchJson(`${base}/coins/markets?vs_currency=usd&ids=${encodeURIComponent(coin.id)}`, { headers, signal });
+      if (!market || market.current_price == null) return [];
+
+      const change = market.price_change_percentage_24h;
+      const facts = [
+        `$${formatPrice(market.current_price)}`,
+        change == null ? null : `${change >= 0 ? '+' : ''}${change.toFixed(1)}% 24h`,
+        market.market_cap ? `market cap $${usd.format(market.market_cap)}` : null,
+        market.market_cap_rank ? `rank #${market.market_cap_rank}` : null
+      ].filter(Boolean);
+
+      return [{
+        title: `${market.name} (${String(market.symbol).toUpperCase()})`,
+        text: facts.join(', '),
+        url: `https://www.coingecko.com/en/coins/${coin.id}`,
+        score: 1
+      }];
+    }
+  };
+}
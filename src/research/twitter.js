@@ -0,0 +1,33 @@
+/**
+ * Twitter search provider
+ * Recent tweets about the topic, through the pipeline's topic-research client (so the
+ * calls count against the research share of the rate limits and the monthly quota).
+ * Liked tweets rank above the rest.
+ */
+
+export function createTwitterSearchProvider() {
+  return {
+    name: 'twitter',
+    label: 'TWITTER',
+
+    async search(topic, { settings, v2Client }) {
+      if (!v2Client) return [];
+
+      const res = await v2Client.get('tweets/search/recent', {
+        query: `${topic.name.replace('@', '')} -is:retweet`,
+        'tweet.fields': 'public_metrics,created_at',
+        max_results: Math.max(10, settings.max_results ?? 5)
+      });
+
+      return (res.data || []).map((t, i) => {
+        const likes = t.public_metrics?.like_count || 0;
+        return {
+          title: null,
+          text: `${t.text.substring(0, 100)} (${likes} likes)`,
+          url: `https://x.com/i/web/status/${t.id}`,
+          score: (1 / (i + 1)) * Math.min(1, 0.5 + Math.log10(1 + likes) / 6)
+        };
+      });
+    }
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Mention Server
+ * Express app + shared mention pipeline + durable job queue
+ * + the configured ingestion sources
+ */
+
+import express from 'express';
+import cors from 'cors';
+import dotenv from 'dotenv';
+import { TwitterApi } from 'twitter-api-v2';
+import { Anthropic } from '@anthropic-ai/sdk';
+import { initDb, getStats, countRepliesByTemplate, databaseBackend } from './db.js';
+import { logger } from './logger.js';
+import { captureRawBody } from './webhook.js';
+import { createPipeline } from './pipeline.js';
+import { createJobQueue } from './queue.js';
+import { createPolicyEngine } from './policy.js';
+import { createShadow } from './shadow.js';
+import { createExperiments } from './experiments.js';
+import { createEngagementTracker } from './engagement.js';
+import { createAdminRouter } from './admin.js';
+import { createTwitterClient } from './twitter-client.js';
+import { createQuotaLedger } from './quota.js';
+import { createCostLedger } from './costs.js';
+import { parseSourceNames, createSources } from './sources/index.js';
+
+dotenv.config();
+
+export function startServer(sourceSetting = process.env.MENTION_SOURCE || 'polling') {
+  const sourceNames = parseSourceNames(sourceSetting);
+
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(cors());
+
+  // Initialize clients
+  const bearerClient = new TwitterApi(process.env.TWITTER_BEARER_TOKEN);
+  const twitterClient = new TwitterApi({
+    appKey: process.env.TWITTER_API_KEY,
+    appSecret: process.env.TWITTER_API_SECRET,
+    accessToken: process.env.TWITTER_ACCESS_TOKEN,
+    accessSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+  });
+  // One rate-limited client for everything that calls the v2 API, so posting, polling,
+  // research and engagement share the same per-endpoint budgets and monthly quota
+  const quota = createQuotaLedger();
+  const v2Client = createTwitterClient(twitterClient.v2, { quota });
+  const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+  // Load persistent state
+  const dbReady = initDb();
+
+  const pipeline = createPipeline({ v2Client, anthropic, quota });
+  const policy = createPolicyEngine();
+  const shadow = createShadow({ pipeline });
+  const experiments = createExperiments({ prompts: pipeline.prompts });
+  const engagement = createEngagementTracker({ v2Client, quota });
+  const costs = createCostLedger();
+  const queue = createJobQueue({ pipeline, policy, shadow, experiments, costs });
+  const sources = createSources(sourceNames, {
+    app,
+    v2Client,
+    bearerClient,
+    consumerSecret: process.env.TWITTER_API_SECRET,
+    onMention: queue.enqueue
+  });
+
+  const PORT = process.env.PORT || 3000;
+
+  // ============================================
+  // API ENDPOINTS
+  // ============================================
+
+  app.get('/', (req, res) => {
+    res.status(200).json({
+      message: 'Real-time mention handler for @graisonbot',
+      status: 'ok',
+      sources: sourceNames
+    });
+  });
+
+  app.get('/health', async (req, res) => {
+    let queueStatus = null;
+    try {
+      queueStatus = await queue.status();
+    } catch (error) {
+      queueStatus = { error: error.message };
+    }
+
+    let quotaStatus = null;
+    try {
+      const { call_sites, ...summary } = await quota.report();
+      quotaStatus = summary;
+    } catch (error) {
+      quotaStatus = { error: error.message };
+    }
+
+    res.status(200).json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      replies_sent: pipeline.stats.repliesSent,
+      shadow_mode: shadow.mode,
+      database: databaseBackend(),
+      research_cache: pipeline.researchCache.metrics(),
+      research_providers: pipeline.researchProviders.status(),
+      rate_limits: v2Client.budgets(),
+      quota: quotaStatus,
+      queue: queueStatus,
+      sources: Object.fromEntries(sources.map(s => [s.name, s.status()]))
+    });
+  });
+
+  app.get('/stats', async (req, res) => {
+    try {
+      const stats = await getStats();
+      const repliesByTemplate = await countRepliesByTemplate();
+      const replyEngagement = await engagement.report();
+      const spend = await costs.report();
+
+      res.json({
+        total_replies: stats.total_replies,
+        unique_users: stats.unique_users,
+        last_reply: stats.last_reply,
+        replies_sent: pipeline.stats.repliesSent,
+        reply_template: pipeline.prompts.active(),
+        replies_by_template: repliesByTemplate,
+        engagement: replyEngagement,
+        // Measured over the last 7 days (costs.js)
+        cost_per_reply: spend.recent.per_reply === null ? null : `$${spend.recent.per_reply.toFixed(4)}`,
+        estimated_daily_average: `$${spend.projection.daily.toFixed(2)}`,
+        estimated_monthly: `$${spend.projection.monthly.toFixed(2)}`,
+        costs: spend,
+        uptime_seconds: process.uptime(),
+        sources: sourceNames
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/experiments', async (req, res) => {
+    try {
+      res.json({ active: experiments.active()?.id || null, experiments: await experiments.results() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.use('/admin', createAdminRouter({ queue, policy, shadow, prompts: pipeline.prompts, engagement, researchCache: pipeline.researchCache, quota, costs }));
+
+  // ============================================
+  // SERVER STARTUP
+  // ============================================
+
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    logger.info(`🚀 GRAISONBOT MENTION SERVER`);
+    logger.info(`Listening on port ${PORT}`);
+    if (shadow.dryRun) {
+      logger.warn('SHADOW_MODE=dry-run - replies are logged to shadow_runs, nothing is posted');
+    }
+    logger.info(`Sources: ${sourceNames.join(', ')}`);
+    logger.info('');
+    logger.info('API Endpoints:');
+    logger.info(`  GET  /health`);
+    logger.info(`  GET  /stats`);
+    logger.info(`  GET  /experiments`);
+    logger.info(`  GET  /admin/jobs[?state=]        (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/jobs/dead-letter     (ADMIN_TOKEN)`);
+    logger.info(`  POST /admin/jobs/:id/replay      (ADMIN_TOKEN)`);
+    logger.info(`  POST /admin/jobs/:id/release     (ADMIN_TOKEN)`);
+    logger.info(`  POST /admin/jobs/:id/dismiss     (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/moderation           (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/drafts               (ADMIN_TOKEN)`);
+    logger.info(`  POST /admin/drafts/:id/approve   (ADMIN_TOKEN)`);
+    logger.info(`  POST /admin/drafts/:id/reject    (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/prompts              (ADMIN_TOKEN)`);
+    logger.info(`  POST /admin/prompts/active       (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/shadow               (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/conversations/:id    (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/authors/:id          (ADMIN_TOKEN)`);
+    logger.info(`  PATCH /admin/authors/:id         (ADMIN_TOKEN)`);
+    logger.info(`  DELETE /admin/authors/:id        (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/replies/:reply_id    (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/research-cache[/:key] (ADMIN_TOKEN)`);
+    logger.info(`  DELETE /admin/research-cache[/:key] (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/quota[?date=]        (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/costs[?days=]        (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/costs/:mention_id    (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/policy               (ADMIN_TOKEN)`);
+    logger.info(`  GET  /admin/policy/decisions     (ADMIN_TOKEN)`);
+    if (sourceNames.includes('webhook')) {
+      logger.info(`  GET  /webhooks/twitter  (CRC challenge)`);
+      logger.info(`  POST /webhooks/twitter  (Account Activity events)`);
+    }
+    logger.info('');
+
+    // Queue and sources need the schema - start them once it exists
+    dbReady.then(async () => {
+      await queue.start();
+      engagement.start();
+      for (const source of sources) {
+        source.start().catch(error => {
+          logger.error(`Failed to start ${source.name} source`, { error: error.message });
+        });
+      }
+    }).catch(error => {
+      logger.error('Database unavailable - not starting queue or sources', { error: error.message });
+    });
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    logger.info('Shutting down gracefully...');
+    sources.forEach(source => source.stop());
+    queue.stop();
+    engagement.stop();
+    server.close();
+    logger.success('Server stopped', {
+      total_replies: pipeline.stats.repliesSent
+    });
+    process.exit(0);
+  });
+
+  return { app, server, pipeline, queue, experiments, engagement, sources };
+}
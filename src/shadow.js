@@ -0,0 +1,69 @@
+/**
+ * Shadow Mode
+ * Runs the real research → compose path without posting, or next to live posting:
+ * - SHADOW_MODE=dry-run    nothing is posted or muted; the would-be reply and its full
+ *                          context go to the shadow log (shadow_runs) instead
+ * - SHADOW_MODE=alongside  replies post as usual; the shadow log keeps what was posted
+ * Either mode also composes with a candidate prompt template (SHADOW_TEMPLATE, e.g. reply.v3
+ * in prompts/) from the same context, for comparison.
+ */
+
+import { recordShadowRun, listShadowRuns } from './db.js';
+import { logger } from './logger.js';
+
+export const SHADOW_MODES = ['off', 'dry-run', 'alongside'];
+
+export function createShadow({
+  pipeline,
+  mode = process.env.SHADOW_MODE || 'off',
+  candidateTemplate = process.env.SHADOW_TEMPLATE || null
+} = {}) {
+  if (!SHADOW_MODES.includes(mode)) {
+    throw new Error(`Unknown SHADOW_MODE "${mode}" (expected ${SHADOW_MODES.join(' | ')})`);
+  }
+  if (candidateTemplate) {
+    pipeline.prompts.template(candidateTemplate); // fail at startup, not per mention
+  }
+
+  /**
+   * Store one shadow entry. kind: reply | deescalate.
+   * A failing candidate prompt is recorded, never thrown.
+   */
+  async function record(job, mention, context, { kind = 'reply', replyText, replyId = null, template = null, meter = null }) {
+    const entry = {
+      job_id: job.id,
+      mention_id: mention.id,
+      mode,
+      kind,
+      reply_text: replyText,
+      reply_id: replyId,
+      prompts: kind === 'reply' && template ? pipeline.prompts.build(context, template) : null,
+      context
+    };
+
+    if (candidateTemplate && kind === 'reply') {
+      try {
+        entry.candidate_prompts = pipeline.prompts.build(context, candidateTemplate);
+        entry.candidate_text = (await pipeline.compose(context, candidateTemplate, meter)).replyText;
+      } catch (e) {
+        entry.candidate_error = e.message;
+        logger.warn(`Shadow candidate prompt failed for mention ${mention.id}`, { error: e.message });
+      }
+    }
+
+    await recordShadowRun(entry);
+    console.log(`[SHADOW] ${replyId ? 'Posted' : 'Would post'} (${template || kind}): "${(replyText || '').substring(0, 70)}..."`);
+    if (entry.candidate_text) {
+      console.log(`[SHADOW] Candidate (${candidateTemplate}): "${entry.candidate_text.substring(0, 70)}..."`);
+    }
+  }
+
+  return {
+    mode,
+    candidateTemplate,
+    dryRun: mode === 'dry-run',
+    enabled: mode !== 'off',
+    record,
+    list: listShadowRuns
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Account Activity Source
+ * Mounts /webhooks/twitter on the app; Twitter pushes tweet_create_events to it.
+ * Register the public URL once with register-webhook.js.
+ */
+
+import { createWebhookRouter } from '../webhook.js';
+
+export function createAccountActivitySource({ app, consumerSecret, onMention }) {
+  let eventsReceived = 0;
+
+  app.use(createWebhookRouter({
+    consumerSecret,
+    onMention: (tweet, author) => {
+      eventsReceived++;
+      return onMention(tweet, author);
+    }
+  }));
+
+  return {
+    name: 'webhook',
+
+    async start() {
+      if (!consumerSecret) {
+        console.error('[WEBHOOK] TWITTER_API_SECRET not set - CRC checks and signed events will be rejected');
+      }
+    },
+
+    stop() {},
+
+    status() {
+      return { events_received: eventsReceived };
+    }
+  };
+}
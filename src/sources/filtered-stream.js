@@ -0,0 +1,95 @@
+/**
+ * Filtered Stream Source
+ * Real-time mentions via the Twitter Filtered Stream API.
+ * Run setup-stream-rules.js once to configure the filter.
+ */
+
+import { logger } from '../logger.js';
+import { AUTHOR_FIELDS } from '../pipeline.js';
+
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY = 5000; // 5 seconds
+
+export function createFilteredStreamSource({ bearerClient, onMention }) {
+  let stream = null;
+  let reconnectAttempts = 0;
+  let stopped = false;
+
+  function scheduleReconnect() {
+    if (stopped) return;
+
+    if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+      reconnectAttempts++;
+      logger.info(`Reconnecting in ${RECONNECT_DELAY}ms (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+      setTimeout(connect, RECONNECT_DELAY);
+    } else {
+      logger.error('Max reconnect attempts reached. Manual restart required.');
+    }
+  }
+
+  async function connect() {
+    try {
+      logger.info('📡 Connecting to Twitter Filtered Stream...');
+
+      stream = await bearerClient.v2.searchStream({
+        'tweet.fields': ['created_at', 'author_id', 'conversation_id', 'referenced_tweets'],
+        'user.fields': AUTHOR_FIELDS.split(','),
+        'expansions': ['author_id']
+      });
+
+      logger.success('✅ Connected to Filtered Stream');
+      logger.info('Listening for @graisonbot mentions in real-time...');
+      reconnectAttempts = 0; // Reset on successful connection
+
+      // Handle incoming tweets
+      stream.on('data', async (tweet) => {
+        try {
+          const author = tweet.includes?.users?.find(u => u.id === tweet.data.author_id);
+
+          if (author) {
+            await onMention(tweet.data, author);
+          }
+        } catch (error) {
+          logger.error('Failed to process stream tweet', { error: error.message });
+        }
+      });
+
+      // Handle stream errors
+      stream.on('error', (error) => {
+        logger.error('Stream error', { error: error.message });
+        scheduleReconnect();
+      });
+
+      // Handle stream end
+      stream.on('end', () => {
+        logger.warn('Stream connection ended');
+        scheduleReconnect();
+      });
+
+    } catch (error) {
+      logger.error('Failed to start stream', { error: error.message });
+      scheduleReconnect();
+    }
+  }
+
+  return {
+    name: 'stream',
+
+    async start() {
+      stopped = false;
+      await connect();
+    },
+
+    stop() {
+      stopped = true;
+      if (stream) {
+        stream.destroy();
+      }
+      stream = null;
+    },
+
+    status() {
+      return { stream_connected: stream ? 'yes' : 'no', reconnect_attempts: reconnectAttempts };
+    }
+  };
+}
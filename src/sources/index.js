@@ -0,0 +1,39 @@
+/**
+ * Mention ingestion sources
+ * Pick one or more with MENTION_SOURCE=polling | stream | webhook (comma-separated)
+ */
+
+import { createSearchPollingSource } from './search-polling.js';
+import { createFilteredStreamSource } from './filtered-stream.js';
+import { createAccountActivitySource } from './account-activity.js';
+import { forCallSite } from '../twitter-client.js';
+
+const SOURCES = {
+  polling: ({ v2Client, onMention }) => createSearchPollingSource({ v2Client: forCallSite(v2Client, 'polling'), onMention }),
+  stream: ({ bearerClient, onMention }) => createFilteredStreamSource({ bearerClient, onMention }),
+  webhook: ({ app, consumerSecret, onMention }) => createAccountActivitySource({ app, consumerSecret, onMention })
+};
+
+export function parseSourceNames(value) {
+  const names = String(value || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter(n => !SOURCES[n]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown MENTION_SOURCE: ${unknown.join(', ')} (expected ${Object.keys(SOURCES).join(', ')})`);
+  }
+
+  return [...new Set(names)];
+}
+
+/**
+ * deps.onMention(tweet, author, sourceName) receives every mention
+ */
+export function createSources(names, deps) {
+  return names.map(name => SOURCES[name]({
+    ...deps,
+    onMention: (tweet, author) => deps.onMention(tweet, author, name)
+  }));
+}
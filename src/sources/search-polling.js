@@ -0,0 +1,193 @@
+/**
+ * Search Polling Source
+ * Polls tweets/search/recent for new @mentions every 30 seconds.
+ * Mentions are queued durably before the cursor moves on.
+ *
+ * The since_id cursor is persisted, so after a restart the first poll
+ * backfills: it pages through next_token until it reaches the stored cursor.
+ * Mentions older than MENTION_MAX_AGE_MINUTES are too stale to reply to and are skipped.
+ *
+ * A poll reads at most POLL_MAX_PAGES pages. If it stops short of the cursor, the unread
+ * gap is persisted too ({ newest_id, until_id } under search_polling_backfill) and the
+ * next polls keep paging back through it with until_id. since_id only moves up to
+ * newest_id once the gap is closed - reached the cursor, or ran into stale mentions.
+ *
+ * A poll can outlast the interval (paging a backfill, waiting out a rate limit); the next
+ * tick is skipped while it runs, so two polls never read from the same cursor.
+ */
+
+import { getCursor, setCursor } from '../db.js';
+import { AUTHOR_FIELDS } from '../pipeline.js';
+import { isRateLimitError } from '../twitter-client.js';
+
+const POLL_INTERVAL = 30000; // 30 seconds
+const CURSOR_NAME = 'search_polling';
+const BACKFILL_CURSOR_NAME = 'search_polling_backfill';
+const MAX_PAGES = parseInt(process.env.POLL_MAX_PAGES || '10', 10);
+const MAX_MENTION_AGE = parseInt(process.env.MENTION_MAX_AGE_MINUTES || '360', 10) * 60 * 1000;
+
+function isNewer(id, cursor) {
+  return !cursor || BigInt(id) > BigInt(cursor);
+}
+
+function isStale(mention, maxAge) {
+  return !!mention.created_at && Date.now() - new Date(mention.created_at).getTime() > maxAge;
+}
+
+export function createSearchPollingSource({ v2Client, onMention, intervalMs = POLL_INTERVAL, maxPages = MAX_PAGES, maxAge = MAX_MENTION_AGE }) {
+  let lastMentionId = null; // Track the newest mention we've seen
+  let rateLimitedUntil = null;
+  let timer = null;
+  let botUsername = null;
+  let backfilling = false;
+  let polling = false;
+  let gap = null; // { newest_id, until_id } - mentions between the cursor and until_id not yet read
+
+  /**
+   * Page through search results (newest first, older than untilId if given) until we
+   * reach the cursor, run out of pages, or hit mentions too old to reply to.
+   * truncated: stopped at maxPages with older mentions still unread
+   */
+  async function fetchMentionsSince(sinceId, untilId = null) {
+    const mentions = [];
+    const users = [];
+    let nextToken = null;
+    let pages = 0;
+
+    do {
+      // Only get NEW mentions (since the last one we've seen) to avoid processing old ones repeatedly
+      const searchParams = {
+        query: `@${botUsername} -is:retweet`,
+        'tweet.fields': 'in_reply_to_user_id,referenced_tweets,public_metrics,created_at,conversation_id,author_id',
+        'expansions': 'author_id',
+        'user.fields': AUTHOR_FIELDS,
+        max_results: 100
+      };
+      if (sinceId) searchParams.since_id = sinceId;
+      if (untilId) searchParams.until_id = untilId;
+      if (nextToken) searchParams.next_token = nextToken;
+
+      const response = await v2Client.get('tweets/search/recent', searchParams);
+      const page = (response.data || []).filter(t => isNewer(t.id, sinceId));
+
+      mentions.push(...page);
+      users.push(...(response.includes?.users || []));
+      nextToken = response.meta?.next_token || null;
+      pages++;
+
+      // Pages go newest → oldest; once a page ends in stale mentions the rest are staler
+      if (page.length > 0 && isStale(page[page.length - 1], maxAge)) {
+        nextToken = null;
+      }
+    } while (nextToken && pages < maxPages);
+
+    return { mentions, users, pages, truncated: !!nextToken && mentions.length > 0 };
+  }
+
+  async function saveGap(next) {
+    gap = next;
+    await setCursor(BACKFILL_CURSOR_NAME, gap ? JSON.stringify(gap) : '');
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      // Backoff lives in the rate-limited client (twitter-client.js): while the search
+      // budget is spent, calls wait for the reset or fail fast without reaching Twitter
+      if (!botUsername) {
+        const me = await v2Client.me();
+        botUsername = me.data.username;
+      }
+
+      // An open gap is finished before anything newer is read, so there is only ever one
+      const { mentions, users, pages, truncated } = await fetchMentionsSince(lastMentionId, gap?.until_id);
+      rateLimitedUntil = null;
+
+      if (mentions.length === 0 && !gap) {
+        backfilling = false;
+        return;
+      }
+
+      const label = backfilling || gap ? 'BACKFILL' : 'POLL';
+      if (mentions.length > 0) {
+        console.log(`[${label}] ${new Date().toISOString()} - Detected ${mentions.length} NEW mentions across ${pages} page(s) (newest ${mentions[0].id.substring(0, 8)}...)`);
+      }
+
+      // Oldest first so the queue processes mentions in order
+      let stale = 0;
+      for (const mention of [...mentions].reverse()) {
+        if (isStale(mention, maxAge)) {
+          stale++;
+          continue;
+        }
+        const author = users.find(u => u.id === mention.author_id) || null;
+        await onMention(mention, author);
+      }
+      if (stale > 0) {
+        console.log(`[${label}] Skipped ${stale} mention(s) older than ${Math.round(maxAge / 60000)} minutes`);
+      }
+
+      // Only advance once everything is queued - a failed enqueue gets re-fetched next cycle
+      const newestId = gap?.newest_id || mentions[0].id;
+      if (truncated) {
+        const untilId = mentions[mentions.length - 1].id;
+        console.warn(`[${label}] Stopped after ${pages} pages - older mentions from ${untilId.substring(0, 8)}... back are fetched next cycle`);
+        await saveGap({ newest_id: newestId, until_id: untilId });
+        backfilling = true;
+        return;
+      }
+
+      lastMentionId = newestId;
+      await setCursor(CURSOR_NAME, lastMentionId);
+      if (gap) {
+        console.log(`[${label}] Gap closed - cursor now ${lastMentionId.substring(0, 8)}...`);
+        await saveGap(null);
+      }
+      backfilling = false;
+    } catch (error) {
+      if (isRateLimitError(error)) {
+        const resetAt = error.resetAt || (error.rateLimit?.reset ? error.rateLimit.reset * 1000 : null);
+        rateLimitedUntil = resetAt ? new Date(resetAt).toISOString() : null;
+        console.error(`[RATE-LIMIT] Search budget spent${rateLimitedUntil ? ` until ${rateLimitedUntil}` : ''} - polling resumes after the reset`);
+      } else {
+        console.error(`[ERROR] ${new Date().toISOString()} - ${error.message}`);
+      }
+    } finally {
+      polling = false;
+    }
+  }
+
+  return {
+    name: 'polling',
+    poll,
+
+    async start() {
+      lastMentionId = await getCursor(CURSOR_NAME);
+      const pendingGap = await getCursor(BACKFILL_CURSOR_NAME);
+      gap = pendingGap ? JSON.parse(pendingGap) : null;
+      if (gap) {
+        backfilling = true;
+        console.log(`[BACKFILL] Resuming unread gap before ${gap.until_id.substring(0, 8)}...`);
+      } else if (lastMentionId) {
+        backfilling = true;
+        console.log(`[BACKFILL] Resuming from persisted cursor ${lastMentionId.substring(0, 8)}...`);
+      }
+
+      // Poll immediately
+      await poll();
+      console.log(`[INIT] Initial poll complete`);
+      // Then every 30 seconds
+      timer = setInterval(poll, intervalMs);
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+
+    status() {
+      return { last_mention_id: lastMentionId, backfilling, backfill_gap: gap, rate_limited_until: rateLimitedUntil };
+    }
+  };
+}
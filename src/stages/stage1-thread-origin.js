@@ -4,35 +4,205 @@
  * THREAD ORIGIN STAGE
  * 1. Find the ORIGINAL tweet (root of conversation)
  * 2. Understand what it's about
- * 3. Follow the thread evolution
- * 4. Understand current context within that evolution
+ * 3. Follow the thread evolution: rebuild the reply chain from the root down to the
+ *    mention, with the other branches kept apart
+ * 4. Understand current context within that evolution: a classifier step (model, with
+ *    a keyword fallback) reads the root, a sample of replies and the current mention, and
+ *    returns the intent, sub-topics, the original poster's stance, drift and a confidence
  */
 
-async function findThreadOrigin(conversationId, v2Client) {
+import { identifyTopics } from './stage2-topic-extraction.js';
+
+const THREAD_MODEL = 'claude-haiku-4-5-20251001';
+const MAX_SUB_TOPICS = 5;
+const MAX_SAMPLED_REPLIES = 8;
+
+// intent → coreMessage the reply templates use
+const INTENTS = {
+  trading: 'Price action / Trading decision',
+  launch: 'Product launch / Development milestone',
+  team: 'Team / Hiring / People',
+  fundraising: 'Fundraising / Capital',
+  partnership: 'Partnership / Integration / Collaboration',
+  gratitude: 'Gratitude / Appreciation / Milestone celebration',
+  announcement: 'Announcement / Exciting news',
+  question: 'Question / Asking for takes',
+  opinion: 'Opinion / Hot take',
+  discussion: 'General discussion'
+};
+const STANCES = ['positive', 'negative', 'neutral', 'mixed', 'asking'];
+const DRIFT_LEVELS = ['none', 'some', 'major'];
+
+// Keyword fallback - whole words, and the intent with the most hits wins
+const INTENT_KEYWORDS = {
+  trading: /\b(buy(ing)?|sell(ing)?|price|pump(ing)?|dump(ing)?|long|short|entry|chart|breakout|ath)\b/gi,
+  launch: /\b(ship(ped|ping)?|launch(ed|es|ing)?|mainnet|testnet|release[ds]?|live now|is live|now live|finally live)\b/gi,
+  team: /\b(hir(e|ed|ing)|join(ed|ing)? (the|our) team|welcome|new (cto|ceo|hire))\b/gi,
+  fundraising: /\b(rais(e|ed|es|ing)|fundrais(e|ing)|funding|seed round|series [a-d]|led by|investors?)\b/gi,
+  partnership: /\b(partner(ship|ed|ing)?|integrat(e|ed|es|ion|ing)|collab(orat(e|ion|ing))?)\b/gi,
+  gratitude: /\b(thanks|thank you|grateful|honou?red|appreciate)\b/gi,
+  announcement: /\b(announc(e|ed|ing|ement)|excited|thrilled|big news|introducing)\b/gi
+};
+const POSITIVE_WORDS = /\b(great|love|bullish|excited|thrilled|amazing|huge|proud|wild|congrats|finally|incredible)\b/gi;
+const NEGATIVE_WORDS = /\b(bad|bearish|scam|rug|dead|worried|disappointed|overvalued|broken|hate|terrible)\b/gi;
+const COMMON_WORDS = new Set(['this', 'that', 'with', 'what', 'from', 'have', 'about', 'just', 'your', 'they', 'will', 'make', 'after', 'worth', 'again', 'there', 'their', 'been', 'were', 'when']);
+
+const TWEET_FIELDS = 'created_at,public_metrics,author_id,conversation_id,referenced_tweets,in_reply_to_user_id,attachments,entities';
+// Quoted and replied-to tweets, and attached media, for linked context (stage2-linked-context.js)
+const EXPANSIONS = {
+  expansions: 'referenced_tweets.id,attachments.media_keys',
+  'media.fields': 'type,alt_text,url,preview_image_url'
+};
+const MAX_ANCESTOR_FETCHES = 10; // tweets fetched one by one when the search missed them
+
+const byTime = (a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime();
+
+/**
+ * Id of the tweet this one replies to, or null
+ */
+function parentId(tweet) {
+  return tweet?.referenced_tweets?.find(r => r.type === 'replied_to')?.id || null;
+}
+
+/**
+ * Keep a response's expansions: includes.tweets / includes.media by id / media_key
+ */
+function absorb(includes, res) {
+  for (const tweet of res?.includes?.tweets || []) includes.tweets.set(tweet.id, tweet);
+  for (const media of res?.includes?.media || []) includes.media.set(media.media_key, media);
+}
+
+async function fetchTweet(id, v2Client, includes) {
   try {
-    // Get ALL tweets in this conversation (up to 100)
-    const allTweets = await v2Client.get('tweets/search/recent', {
-      query: `conversation_id:${conversationId}`,
-      'tweet.fields': 'created_at,public_metrics,author_id',
-      max_results: 100
-    });
-    
-    if (!allTweets.data || allTweets.data.length === 0) {
+    const res = await v2Client.get(`tweets/${id}`, { 'tweet.fields': TWEET_FIELDS, ...EXPANSIONS });
+    absorb(includes, res);
+    return res.data || null;
+  } catch (e) {
+    console.log(`[THREAD-ORIGIN] Could not fetch tweet ${id}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Walk replied_to links up from the mention. Tweets the search didn't return are
+ * fetched (up to MAX_ANCESTOR_FETCHES); the walk stops at the root or a missing tweet.
+ */
+async function ancestorChain(mention, tweets, rootId, v2Client, includes) {
+  const chain = [];
+  let fetches = 0;
+  let current = mention;
+
+  while (current) {
+    chain.unshift(current);
+    if (current.id === rootId) break;
+
+    const next = parentId(current);
+    if (!next || chain.some(t => t.id === next)) break;
+
+    // The replied_to expansion usually has the parent already
+    if (!tweets.has(next) && includes.tweets.has(next)) tweets.set(next, includes.tweets.get(next));
+    if (!tweets.has(next) && fetches < MAX_ANCESTOR_FETCHES) {
+      fetches++;
+      const fetched = await fetchTweet(next, v2Client, includes);
+      if (fetched) tweets.set(fetched.id, fetched);
+    }
+    current = tweets.get(next) || null;
+  }
+  return chain;
+}
+
+/**
+ * Replies that aren't on the path, grouped by the path tweet they branch off,
+ * each branch in time order
+ */
+function siblingBranches(path, tweets) {
+  const onPath = new Set(path.map(t => t.id));
+  const children = new Map();
+  for (const tweet of tweets.values()) {
+    const parent = parentId(tweet);
+    if (!parent) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(tweet);
+  }
+
+  const subtree = tweet => [tweet, ...(children.get(tweet.id) || []).flatMap(subtree)];
+  return path.flatMap(node => (children.get(node.id) || [])
+    .filter(child => !onPath.has(child.id))
+    .sort(byTime)
+    .map(child => ({ parentId: node.id, tweets: subtree(child).sort(byTime) })));
+}
+
+/**
+ * Rebuild the reply tree around a mention:
+ * - root: the tweet whose id is the conversation_id - fetched by id when the search didn't
+ *   return it (older than the 7-day window, or past maxResults)
+ * - path: root → ... → mention, following replied_to links up from the mention
+ *   (complete: false when a link couldn't be followed - the path then jumps from the root)
+ * - branches: the other replies, kept apart from the path
+ * - allTweets: everything we saw, oldest first
+ * - includes: expanded quoted/replied-to tweets and media ({ tweets, media } Maps)
+ *
+ * mention: the tweet being answered (path ends there); without it the path ends at the
+ * latest tweet. maxResults: how much of the conversation search pulls (10-100) - lowered
+ * when the monthly read quota runs short (quota.js)
+ */
+async function findThreadOrigin(conversationId, v2Client, maxResults = 100, { mention = null } = {}) {
+  try {
+    const tweets = new Map();
+    const includes = { tweets: new Map(), media: new Map() };
+
+    // Get the rest of the conversation (last 7 days, up to maxResults)
+    try {
+      const search = await v2Client.get('tweets/search/recent', {
+        query: `conversation_id:${conversationId}`,
+        'tweet.fields': TWEET_FIELDS,
+        ...EXPANSIONS,
+        max_results: maxResults
+      });
+      for (const tweet of search.data || []) tweets.set(tweet.id, tweet);
+      absorb(includes, search);
+    } catch (e) {
+      console.log(`[THREAD-ORIGIN] Conversation search failed: ${e.message}`);
+    }
+
+    const root = tweets.get(conversationId)
+      || (mention?.id === conversationId ? mention : await fetchTweet(conversationId, v2Client, includes));
+    if (root) tweets.set(root.id, root);
+
+    if (mention?.id) {
+      // Sources don't always include referenced_tweets - take the searched copy, or fetch it
+      let known = { ...mention, ...tweets.get(mention.id) };
+      if (!parentId(known) && mention.id !== conversationId) {
+        known = { ...known, ...await fetchTweet(mention.id, v2Client, includes) };
+      }
+      tweets.set(mention.id, known);
+    }
+
+    if (tweets.size === 0) {
       return null;
     }
-    
-    // Sort by creation time (earliest = root)
-    const sorted = allTweets.data.sort((a, b) => 
-      new Date(a.created_at).getTime() - new Date(b.created_at).getTime()
-    );
-    
-    // First tweet is the root
-    const rootTweet = sorted[0];
-    
+
+    const end = mention?.id ? tweets.get(mention.id) : [...tweets.values()].sort(byTime).pop();
+    const path = await ancestorChain(end, tweets, conversationId, v2Client, includes);
+    const complete = path[0]?.id === conversationId;
+
+    if (!complete) {
+      console.log(`[THREAD-ORIGIN] Reply chain broken at ${path[0]?.id} - root not reached`);
+      // Still start from the root when we have it, with a gap before the rest of the chain
+      if (root) path.unshift(root);
+    }
+    const branches = siblingBranches(path, tweets);
+
+    const allTweets = [...tweets.values()].sort(byTime);
     return {
-      root: rootTweet,
-      allTweets: sorted,
-      threadLength: sorted.length
+      // Without the root (deleted, protected) the earliest tweet we have stands in
+      root: root || allTweets[0],
+      path,
+      complete,
+      branches,
+      allTweets,
+      includes,
+      threadLength: allTweets.length
     };
   } catch (e) {
     console.error(`[ERROR] Failed to find thread origin: ${e.message}`);
@@ -40,38 +210,144 @@ async function findThreadOrigin(conversationId, v2Client) {
   }
 }
 
-function analyzeThreadEvolution(threadData) {
+function keywordIntent(text) {
+  let best = { intent: 'discussion', hits: 0 };
+  for (const [intent, pattern] of Object.entries(INTENT_KEYWORDS)) {
+    const hits = (text.match(pattern) || []).length;
+    if (hits > best.hits) best = { intent, hits };
+  }
+  if (best.hits === 0 && /\?\s*$/.test(text.trim())) return { intent: 'question', hits: 1 };
+  return best;
+}
+
+function keywordStance(text) {
+  if (/\?\s*$/.test(text.trim())) return 'asking';
+  const positive = (text.match(POSITIVE_WORDS) || []).length;
+  const negative = (text.match(NEGATIVE_WORDS) || []).length;
+  if (positive && negative) return 'mixed';
+  if (positive) return 'positive';
+  if (negative) return 'negative';
+  return 'neutral';
+}
+
+function contentWords(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9$]{4,}/g) || []).filter(w => !COMMON_WORDS.has(w)));
+}
+
+/**
+ * Shared vocabulary between the root and the current mention
+ */
+function keywordDrift(rootText, currentText) {
+  const root = contentWords(rootText);
+  const current = contentWords(currentText);
+  const shared = [...root].filter(w => current.has(w)).length;
+  const overlap = shared / (new Set([...root, ...current]).size || 1);
+  const level = overlap >= 0.2 ? 'none' : overlap >= 0.05 ? 'some' : 'major';
+  return {
+    level,
+    summary: level === 'none'
+      ? 'Still on the original topic'
+      : `Moved from "${rootText.substring(0, 60)}" to "${currentText.substring(0, 60)}"`
+  };
+}
+
+/**
+ * Keyword fallback when the model is unavailable or its answer doesn't parse
+ */
+async function keywordAnalysis(root, allTweets, currentText) {
+  const { intent, hits } = keywordIntent(root.text);
+  const topics = await identifyTopics(allTweets);
+  return {
+    intent,
+    subTopics: topics.filter(t => t.type !== 'ticker').slice(0, MAX_SUB_TOPICS).map(t => t.name),
+    stance: keywordStance(root.text),
+    drift: keywordDrift(root.text, currentText),
+    confidence: hits > 0 ? 0.4 : 0.2,
+    classifier: 'keywords'
+  };
+}
+
+/**
+ * The reply chain from the root to the mention, in order, then a sample of the side
+ * branches (most engaged first)
+ */
+function threadTranscript(root, path, branches, currentText) {
+  const chain = path.filter(t => t.id !== root.id).slice(0, -1).slice(-MAX_SAMPLED_REPLIES);
+  const side = branches
+    .flatMap(b => b.tweets)
+    .sort((a, b) => (b.public_metrics?.like_count || 0) - (a.public_metrics?.like_count || 0))
+    .slice(0, MAX_SAMPLED_REPLIES);
+  return [
+    `ROOT (original poster): "${root.text}"`,
+    ...chain.map(t => `IN THE REPLY CHAIN: "${t.text.substring(0, 200)}"`),
+    `CURRENT MENTION: "${currentText}"`,
+    ...side.map(t => `SIDE BRANCH: "${t.text.substring(0, 200)}"`)
+  ].join('\n');
+}
+
+async function modelAnalysis(root, path, branches, currentText, anthropic) {
+  const msg = await anthropic.messages.create({
+    model: THREAD_MODEL,
+    max_tokens: 250,
+    temperature: 0,
+    system: `You analyze Twitter threads so a bot can reply on topic.
+
+Intents (what the ROOT post is about): ${Object.keys(INTENTS).join(', ')}
+Stances (the original poster's): ${STANCES.join(', ')}
+Drift (how far the CURRENT MENTION has moved from the root, along the reply chain): ${DRIFT_LEVELS.join(', ')}
+Side branches are other replies in the thread - context only, not part of the chain.
+
+Respond with ONLY JSON: {"intent": "...", "sub_topics": ["up to ${MAX_SUB_TOPICS} short phrases"], "stance": "...", "drift": "...", "drift_summary": "one short sentence", "confidence": 0.0-1.0}`,
+    messages: [{ role: 'user', content: threadTranscript(root, path, branches, currentText) }]
+  });
+
+  const raw = msg.content?.[0]?.text || '';
+  const parsed = JSON.parse(raw.substring(raw.indexOf('{'), raw.lastIndexOf('}') + 1));
+  if (!INTENTS[parsed.intent]) {
+    throw new Error(`Unknown intent "${parsed.intent}"`);
+  }
+
+  return {
+    intent: parsed.intent,
+    subTopics: (Array.isArray(parsed.sub_topics) ? parsed.sub_topics : [])
+      .filter(t => typeof t === 'string' && t.trim())
+      .slice(0, MAX_SUB_TOPICS),
+    stance: STANCES.includes(parsed.stance) ? parsed.stance : 'neutral',
+    drift: {
+      level: DRIFT_LEVELS.includes(parsed.drift) ? parsed.drift : 'some',
+      summary: parsed.drift_summary || ''
+    },
+    confidence: typeof parsed.confidence === 'number' ? Math.min(Math.max(parsed.confidence, 0), 1) : null,
+    classifier: THREAD_MODEL
+  };
+}
+
+/**
+ * Classify the thread with the model, falling back to keywords if the call or parse fails.
+ * mentionText: the mention being answered (defaults to the latest tweet)
+ */
+async function analyzeThreadEvolution(threadData, anthropic = null, { mentionText = null, useModel = true } = {}) {
   if (!threadData) return null;
   
-  const { root, allTweets } = threadData;
-  
-  // Extract core message from original post
-  const originalText = root.text;
-  let coreMessage = 'Unknown topic';
-  
-  // Identify what the original post is about
-  if (originalText.toLowerCase().includes('buy') || originalText.toLowerCase().includes('sell') || originalText.toLowerCase().includes('price')) {
-    coreMessage = 'Price action / Trading decision';
-  } else if (originalText.toLowerCase().includes('ship') || originalText.toLowerCase().includes('launch') || originalText.toLowerCase().includes('build')) {
-    coreMessage = 'Product launch / Development milestone';
-  } else if (originalText.toLowerCase().includes('team') || originalText.toLowerCase().includes('hire') || originalText.toLowerCase().includes('join')) {
-    coreMessage = 'Team / Hiring / People';
-  } else if (originalText.toLowerCase().includes('fund') || originalText.toLowerCase().includes('raise') || originalText.toLowerCase().includes('capital')) {
-    coreMessage = 'Fundraising / Capital';
-  } else if (originalText.toLowerCase().includes('partnership') || originalText.toLowerCase().includes('integrat') || originalText.toLowerCase().includes('collab')) {
-    coreMessage = 'Partnership / Integration / Collaboration';
-  } else if (originalText.toLowerCase().includes('thanks') || originalText.toLowerCase().includes('honor') || originalText.toLowerCase().includes('grateful')) {
-    coreMessage = 'Gratitude / Appreciation / Milestone celebration';
-  } else if (originalText.toLowerCase().includes('announcement') || originalText.toLowerCase().includes('excited') || originalText.toLowerCase().includes('thrilled')) {
-    coreMessage = 'Announcement / Exciting news';
-  } else {
-    coreMessage = originalText.substring(0, 80);
+  const { root, allTweets, branches = [] } = threadData;
+  const path = threadData.path?.length ? threadData.path : allTweets;
+  const currentText = mentionText || path[path.length - 1].text;
+
+  let analysis = null;
+  if (useModel && anthropic) {
+    try {
+      analysis = await modelAnalysis(root, path, branches, currentText, anthropic);
+    } catch (e) {
+      console.log(`[THREAD-ORIGIN] Model analysis failed, using keywords: ${e.message}`);
+    }
   }
+  analysis ??= await keywordAnalysis(root, allTweets, currentText);
+  console.log(`[THREAD-ORIGIN] ${analysis.intent} / ${analysis.stance} / drift ${analysis.drift.level} (${analysis.classifier})`);
   
-  // Analyze thread evolution
-  const timeline = allTweets.map((t, idx) => ({
+  // The path from the root to the mention
+  const timeline = path.map((t, idx) => ({
     position: idx + 1,
-    totalInThread: allTweets.length,
+    totalInThread: path.length,
     text: t.text.substring(0, 100),
     timestamp: t.created_at,
     engagement: t.public_metrics?.like_count || 0
@@ -79,15 +355,31 @@ function analyzeThreadEvolution(threadData) {
   
   return {
     originalTopic: root.text,
-    coreMessage: coreMessage,
+    coreMessage: INTENTS[analysis.intent],
+    analysis,
     originalTimestamp: root.created_at,
     threadLength: allTweets.length,
+    pathLength: path.length,
+    branchCount: branches.length,
     timeline: timeline,
     latestTweet: allTweets[allTweets.length - 1],
-    evolutionSummary: `Started: "${root.text.substring(0, 80)}..." → Now at tweet ${allTweets.length}`
+    evolutionSummary: `Started: "${root.text.substring(0, 80)}..." → Now at reply ${path.length} of the chain (${allTweets.length} tweets, ${branches.length} side branches)`
   };
 }
 
+/**
+ * Thread analysis as prompt text (reply.v5's {{threadAnalysis}})
+ */
+function summarizeThreadAnalysis(analysis) {
+  if (!analysis) return '';
+  return [
+    `Intent: ${INTENTS[analysis.intent]}`,
+    `Original poster's stance: ${analysis.stance}`,
+    analysis.subTopics.length ? `Sub-topics: ${analysis.subTopics.join(', ')}` : '',
+    `Drift since the root: ${analysis.drift.level}${analysis.drift.summary ? ` - ${analysis.drift.summary}` : ''}`
+  ].filter(Boolean).join('\n');
+}
+
 function buildContextFromOrigin(threadData, currentMentionPosition) {
   if (!threadData) return null;
   
@@ -109,4 +401,4 @@ function buildContextFromOrigin(threadData, currentMentionPosition) {
   };
 }
 
-export { findThreadOrigin, analyzeThreadEvolution, buildContextFromOrigin };
+export { findThreadOrigin, analyzeThreadEvolution, summarizeThreadAnalysis, buildContextFromOrigin, INTENTS, STANCES, DRIFT_LEVELS };
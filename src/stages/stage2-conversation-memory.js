@@ -2,90 +2,308 @@
 
 /**
  * CONVERSATION MEMORY STAGE
- * Track what we've said to each author in each conversation
+ * Keep the full transcript of every exchange in a conversation, across all authors:
+ * each mention we answered and what we said back, in order
  * Understand follow-ups vs new topics
- * Don't repeat ourselves
+ * Don't repeat ourselves - the composer sees a token-budgeted summary of the thread
+ *
+ * Remember people across conversations - a profile per author:
+ * topics they discuss, tickers they push, every mention and how it was classified,
+ * and how our replies to them landed
+ *
+ * Follow-up windows and the summary budget live in config/memory.json
  */
 
-import fs from 'fs';
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from '../config.js';
+import { identifyTopics } from './stage2-topic-extraction.js';
+import { extractTickers } from './stage3-ticker-context.js';
+import {
+  recordConversationTurn,
+  listConversationTurns,
+  getAuthorProfile,
+  saveAuthorProfile,
+  recordAuthorInteraction,
+  setInteractionReply,
+  listAuthorInteractions,
+  countAuthorLabels,
+  summarizeAuthorReplies,
+  deleteAuthorProfile
+} from '../db.js';
 
-const CONVO_MEMORY_FILE = '/Users/roberttjan/.openclaw/workspace/mention-webhook/data/conversation-memory.jsonl';
+const DEFAULT_MEMORY_FILE = path.join(CONFIG_DIR, 'memory.json');
+const CHARS_PER_TOKEN = 4; // rough estimate, good enough for a prompt budget
+const PROFILE_TERMS = 20; // topics/tickers kept per author
+const HOSTILE_LABELS = ['abusive', 'bait'];
 
-// Format: { author_id, conversation_id, last_reply, last_reply_time, reply_count }
-let conversationMemory = new Map(); // Key: "author_id:conversation_id"
-
-function loadConversationMemory() {
-  try {
-    if (fs.existsSync(CONVO_MEMORY_FILE)) {
-      const lines = fs.readFileSync(CONVO_MEMORY_FILE, 'utf8').split('\n').filter(l => l.trim());
-      for (const line of lines) {
-        const entry = JSON.parse(line);
-        const key = `${entry.author_id}:${entry.conversation_id}`;
-        conversationMemory.set(key, entry);
-      }
-      console.log(`[MEMORY] Loaded ${conversationMemory.size} conversation histories`);
+function validateMemoryConfig(config) {
+  const windows = config.follow_up_windows || {};
+  for (const key of ['same_author_minutes', 'other_author_minutes']) {
+    if (windows[key] !== undefined && !(Number.isFinite(windows[key]) && windows[key] >= 0)) {
+      throw new Error(`follow_up_windows.${key} must be a number of minutes >= 0`);
     }
-  } catch (e) {
-    console.error(`[MEMORY] Error loading conversation memory: ${e.message}`);
   }
+  if (config.summary_token_budget !== undefined && !(config.summary_token_budget > 0)) {
+    throw new Error('summary_token_budget must be > 0');
+  }
+  return config;
 }
 
-function getConversationContext(authorId, conversationId) {
-  const key = `${authorId}:${conversationId}`;
-  return conversationMemory.get(key) || null;
+function loadMemoryConfig(file = process.env.MEMORY_CONFIG_FILE || DEFAULT_MEMORY_FILE) {
+  return watchedConfig(file, { label: 'MEMORY', validate: validateMemoryConfig });
 }
 
-function saveReplyToMemory(authorId, conversationId, replyText, mentionText) {
-  const key = `${authorId}:${conversationId}`;
-  const entry = {
-    author_id: authorId,
-    conversation_id: conversationId,
-    last_reply: replyText.substring(0, 200),
-    last_mention: mentionText.substring(0, 200),
-    last_reply_time: new Date().toISOString(),
-    reply_count: (conversationMemory.get(key)?.reply_count || 0) + 1
-  };
-  
-  conversationMemory.set(key, entry);
-  
-  // Persist to file
-  try {
-    const lines = Array.from(conversationMemory.values())
-      .map(e => JSON.stringify(e))
-      .join('\n') + '\n';
-    fs.writeFileSync(CONVO_MEMORY_FILE, lines, 'utf8');
-  } catch (e) {
-    console.error(`[MEMORY] Error saving: ${e.message}`);
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function formatTurn(turn) {
+  const speaker = turn.role === 'bot' ? 'You' : `@${turn.username || turn.author_id}`;
+  return `${speaker}: ${turn.text.replace(/\s+/g, ' ').trim()}`;
+}
+
+/**
+ * Transcript as "@alice: ... / You: ..." lines within a token budget.
+ * Over budget, their oldest turns go first, then our oldest replies,
+ * so what we've already said survives longest.
+ */
+function summarizeTranscript(turns, budgetTokens = 300) {
+  if (turns.length === 0) return '';
+
+  const lines = turns.map(turn => ({ turn, line: formatTurn(turn) }));
+  const total = () => lines.reduce((sum, l) => sum + estimateTokens(l.line) + 1, 0);
+  let omitted = 0;
+
+  for (const role of ['user', 'bot']) {
+    while (total() > budgetTokens) {
+      const idx = lines.findIndex(l => l.turn.role === role);
+      // Always keep the latest turn
+      if (idx === -1 || idx === lines.length - 1) break;
+      lines.splice(idx, 1);
+      omitted++;
+    }
   }
-  
-  return entry;
+
+  // Still over (one very long turn) - cut the remaining lines to fit
+  const maxChars = Math.floor((budgetTokens * CHARS_PER_TOKEN) / lines.length);
+  const body = lines.map(l => (l.line.length > maxChars ? `${l.line.substring(0, maxChars - 3)}...` : l.line));
+
+  return [omitted > 0 ? `[${omitted} earlier turn${omitted === 1 ? '' : 's'} omitted]` : '', ...body]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Record one exchange: their mention and our reply
+ */
+async function saveExchange(mention, replyText, replyId) {
+  const now = new Date().toISOString();
+  const repliedTo = (mention.referenced_tweets || []).find(r => r.type === 'replied_to');
+
+  await recordConversationTurn({
+    conversationId: mention.conversation_id,
+    tweetId: mention.id,
+    authorId: mention.author_id,
+    username: mention.author?.username || null,
+    role: 'user',
+    text: mention.text || '',
+    inReplyTo: repliedTo?.id || null,
+    createdAt: mention.created_at || now
+  });
+  await setInteractionReply(mention.id, replyId);
+  await recordConversationTurn({
+    conversationId: mention.conversation_id,
+    tweetId: replyId,
+    authorId: null,
+    username: null,
+    role: 'bot',
+    text: replyText,
+    inReplyTo: mention.id,
+    createdAt: now
+  });
 }
 
-function isFollowUp(authorId, conversationId, mentionText) {
-  const context = getConversationContext(authorId, conversationId);
-  if (!context) return false;
-  
-  // Follow-up signals:
-  // 1. Same author in same conversation (context exists)
-  // 2. Within last 5 minutes
-  // 3. Not the same text as last mention
-  const timeDiff = Date.now() - new Date(context.last_reply_time).getTime();
-  const withinWindow = timeDiff < 300000; // 5 minutes
-  const differentText = mentionText.substring(0, 100) !== context.last_mention.substring(0, 100);
-  
-  return withinWindow && differentText;
+/**
+ * What we remember about this conversation:
+ * - history: summary of the whole transcript (everything we've said, to anyone)
+ * - followUpContext: set when this author (or someone else in the thread) is
+ *   following up on one of our replies inside the configured window
+ */
+async function recallConversation(mention, mentionText, config) {
+  const turns = await listConversationTurns(mention.conversation_id);
+  const ourTurns = turns.filter(t => t.role === 'bot');
+  if (ourTurns.length === 0) return { history: '', turns: 0, followUpContext: null };
+
+  const history = summarizeTranscript(turns, config.summary_token_budget || 300);
+  const windows = config.follow_up_windows || {};
+
+  // Our last reply to this author, else our last reply in the thread
+  const repliedTo = id => turns.find(t => t.tweet_id === id);
+  const toAuthor = [...ourTurns].reverse().find(t => repliedTo(t.in_reply_to)?.author_id === mention.author_id);
+  const previous = toAuthor || ourTurns[ourTurns.length - 1];
+  const previousMention = repliedTo(previous.in_reply_to);
+
+  const windowMinutes = toAuthor ? windows.same_author_minutes ?? 60 : windows.other_author_minutes ?? 0;
+  const withinWindow = Date.now() - new Date(previous.created_at).getTime() < windowMinutes * 60 * 1000;
+  // Same text again is a duplicate, not a follow-up
+  const differentText = !previousMention || previousMention.text.substring(0, 100) !== mentionText.substring(0, 100);
+
+  const followUpContext = withinWindow && differentText
+    ? {
+      previousReply: previous.text,
+      previousMention: previousMention?.text || '',
+      replyCount: ourTurns.length,
+      sameAuthor: !!toAuthor,
+      isFollowUp: true
+    }
+    : null;
+
+  return { history, turns: turns.length, followUpContext };
 }
 
-function getFollowUpContext(authorId, conversationId) {
-  const context = getConversationContext(authorId, conversationId);
-  if (!context) return null;
-  
+// ============================================
+// AUTHOR PROFILES
+// ============================================
+
+/**
+ * Add this mention's topics and tickers to the running counts, keeping the top PROFILE_TERMS.
+ * Ties go to the most recently mentioned - counts are stored in that order, and this
+ * mention's names go ahead of the rest before the (stable) sort - so a new name isn't
+ * cut behind the existing count-1 ones forever once the profile is full.
+ */
+function mergeCounts(counts, names) {
+  const seen = [...new Set(names)];
+  const merged = [
+    ...seen.map(name => [name, (counts[name] || 0) + 1]),
+    ...Object.entries(counts).filter(([name]) => !seen.includes(name))
+  ];
+  return Object.fromEntries(merged.sort((a, b) => b[1] - a[1]).slice(0, PROFILE_TERMS));
+}
+
+function ranked(counts) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Record a mention against its author's profile (called once it has been classified,
+ * whatever we end up doing with it)
+ */
+async function noteInteraction(mention, assessment) {
+  const text = mention.text || '';
+  const isNew = await recordAuthorInteraction({
+    authorId: mention.author_id,
+    mentionId: mention.id,
+    conversationId: mention.conversation_id,
+    text,
+    label: assessment.label,
+    action: assessment.action
+  });
+  if (!isNew) return;
+
+  const topics = (await identifyTopics([{ text }]))
+    .filter(t => t.type !== 'ticker')
+    .map(t => t.name);
+  const profile = await getAuthorProfile(mention.author_id) || { author_id: mention.author_id, topics: {}, tickers: {} };
+
+  await saveAuthorProfile({
+    ...profile,
+    username: mention.author?.username || profile.username,
+    topics: mergeCounts(profile.topics, topics),
+    tickers: mergeCounts(profile.tickers, extractTickers(text)),
+    last_seen_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Everything we know about an author, or null if we've never seen them.
+ * excludeMentionId leaves the mention being answered out of the history.
+ */
+async function loadAuthorProfile(authorId, { excludeMentionId = null, limit = 20 } = {}) {
+  const profile = await getAuthorProfile(authorId);
+  if (!profile) return null;
+
+  const tone = await countAuthorLabels(authorId, excludeMentionId);
+  const hostileMentions = HOSTILE_LABELS.reduce((sum, label) => sum + (tone[label] || 0), 0);
+  const interactions = (await listAuthorInteractions(authorId, limit + 1))
+    .filter(i => i.mention_id !== excludeMentionId)
+    .slice(0, limit);
+
   return {
-    previousReply: context.last_reply,
-    previousMention: context.last_mention,
-    replyCount: context.reply_count,
-    isFollowUp: true
+    author_id: profile.author_id,
+    username: profile.username,
+    first_seen_at: profile.first_seen_at,
+    last_seen_at: profile.last_seen_at,
+    mentions: Object.values(tone).reduce((a, b) => a + b, 0),
+    topics: ranked(profile.topics),
+    tickers: ranked(profile.tickers),
+    tone,
+    hostile: profile.hostile_override ?? hostileMentions > 0,
+    hostile_override: profile.hostile_override,
+    replies: await summarizeAuthorReplies(authorId),
+    notes: profile.notes,
+    interactions
   };
 }
 
-export { loadConversationMemory, getConversationContext, saveReplyToMemory, isFollowUp, getFollowUpContext };
+/**
+ * Short description of an author for the prompt ('' for someone new)
+ */
+function summarizeProfile(profile) {
+  if (!profile || (profile.mentions === 0 && !profile.notes)) return '';
+
+  const name = profile.username ? `@${profile.username}` : `Author ${profile.author_id}`;
+  const replied = profile.replies?.replies || 0;
+  const toneText = Object.entries(profile.tone).sort((a, b) => b[1] - a[1]).map(([label, n]) => `${n} ${label}`).join(', ');
+  const { replies } = profile;
+
+  const landed = [];
+  if (replied > 0) {
+    landed.push(`avg engagement ${(replies.avg_engagement ?? 0).toFixed(1)}`);
+    if (replies.negative_quotes > 0) landed.push(`${replies.negative_quotes} negative quote tweet${replies.negative_quotes === 1 ? '' : 's'}`);
+    if (replies.deleted + replies.hidden > 0) landed.push(`${replies.deleted + replies.hidden} deleted/hidden`);
+  }
+
+  return [
+    `${name}: ${profile.mentions} earlier mention${profile.mentions === 1 ? '' : 's'} since ${profile.first_seen_at.substring(0, 10)}, we replied ${replied} time${replied === 1 ? '' : 's'}`,
+    profile.topics.length ? `Usually talks about: ${profile.topics.slice(0, 5).map(t => t.name).join(', ')}` : '',
+    profile.tickers.length ? `Pushes: ${profile.tickers.slice(0, 5).map(t => t.name).join(', ')}` : '',
+    toneText ? `Tone: ${toneText}${profile.hostile ? ' - has been HOSTILE, stay calm and brief' : ''}` : '',
+    landed.length ? `Our replies to them: ${landed.join('; ')}` : '',
+    profile.notes ? `Operator notes: ${profile.notes}` : ''
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Operator edits: notes, hostile (true/false, null = from history),
+ * topics/tickers (replace the lists)
+ */
+async function editAuthorProfile(authorId, { notes, hostile, topics, tickers }) {
+  const profile = await getAuthorProfile(authorId);
+  if (!profile) return null;
+
+  const asCounts = names => Object.fromEntries(names.map(n => [n, 1]));
+  await saveAuthorProfile({
+    ...profile,
+    notes: notes !== undefined ? notes : profile.notes,
+    hostile_override: hostile !== undefined ? hostile : profile.hostile_override,
+    topics: topics !== undefined ? asCounts(topics) : profile.topics,
+    tickers: tickers !== undefined ? asCounts(tickers.map(t => t.toUpperCase())) : profile.tickers
+  });
+  return loadAuthorProfile(authorId);
+}
+
+async function forgetAuthor(authorId) {
+  return deleteAuthorProfile(authorId);
+}
+
+export {
+  loadMemoryConfig,
+  summarizeTranscript,
+  saveExchange,
+  recallConversation,
+  noteInteraction,
+  loadAuthorProfile,
+  summarizeProfile,
+  editAuthorProfile,
+  forgetAuthor
+};
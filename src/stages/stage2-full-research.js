@@ -3,15 +3,19 @@
 /**
  * FULL RESEARCH STAGE
  * 1. Get full conversation thread
- * 2. Identify topics/projects
- * 3. Deep research on each
- * 4. Understand context
+ * 2. Identify topics/projects (stage2-topic-extraction.js)
+ * 3. Deep research on each, through the research providers (src/research/)
+ * 4. Understand context - quoted tweets, media and links included (stage2-linked-context.js)
  * 5. Build knowledge base for reply
  */
 
 import { TwitterApi } from 'twitter-api-v2';
 import { Anthropic } from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
+import { fromCache } from '../research-cache.js';
+import { identifyTopics, topicsToResearch } from './stage2-topic-extraction.js';
+import { buildLinkedContext, describeExpansion, expansionText } from './stage2-linked-context.js';
+import { createResearchProviders } from '../research/index.js';
 
 dotenv.config();
 
@@ -20,6 +24,9 @@ const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
 });
 
+let sharedProviders = null;
+const defaultProviders = () => (sharedProviders ??= createResearchProviders());
+
 async function fetchFullConversation(conversationId, maxTweets = 20) {
   try {
     const tweets = await v2Client.get('tweets/search/recent', {
@@ -37,148 +44,68 @@ async function fetchFullConversation(conversationId, maxTweets = 20) {
   }
 }
 
-async function identifyTopics(conversationThread) {
-  if (!conversationThread || conversationThread.length === 0) return [];
-  
-  // Simple keyword extraction - no AI needed
-  const threadText = conversationThread
-    .map(t => t.text)
-    .join(' ');
-  
-  // Find @mentions and capitalized words (likely project/company names)
-  const mentions = threadText.match(/@[\w]+/g) || [];
-  const capitalized = threadText.match(/\b[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?\b/g) || [];
-  
-  // Extract unique topics
-  const topics = new Map();
-  
-  // Add mentions as companies/projects
-  mentions.forEach(m => {
-    const name = m.substring(1);
-    topics.set(name, { name, type: 'project', mentions: (threadText.match(new RegExp(m, 'g')) || []).length });
-  });
-  
-  // Add capitalized terms (concepts/technologies)
-  capitalized.forEach(term => {
-    if (topics.size < 8 && term.length > 3) {
-      if (!topics.has(term)) {
-        topics.set(term, { name: term, type: 'concept', mentions: (threadText.match(new RegExp(term, 'g')) || []).length });
-      }
-    }
-  });
-  
-  return Array.from(topics.values()).slice(0, 10);
-}
-
-async function deepResearchTopic(topic, v2Client) {
-  try {
-    const topicName = topic.name.replace('@', '');
-    const research = [];
-    let sources = 0;
-    
-    // LAYER 1: Brave web search
-    try {
-      const braveKey = process.env.BRAVE_API_KEY;
-      if (braveKey) {
-        console.log(`[BRAVE-SEARCH] Researching ${topic.name}...`);
-        const braveUrl = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(topicName + ' latest 2025')}&count=5`;
-        
-        const braveRes = await fetch(braveUrl, {
-          headers: {
-            'Accept': 'application/json',
-            'X-Subscription-Token': braveKey
-          }
-        });
-        
-        if (braveRes.ok) {
-          const braveData = await braveRes.json();
-          if (braveData.web && braveData.web.results) {
-            const braveResults = braveData.web.results.slice(0, 3);
-            braveResults.forEach((r, i) => {
-              research.push(`[BRAVE-${i + 1}] ${r.title}: ${r.description.substring(0, 100)}`);
-              sources++;
-            });
-            console.log(`[BRAVE-SEARCH] ✓ Got ${braveResults.length} web results`);
-          }
-        }
-      }
-    } catch (e) {
-      console.log(`[BRAVE-SEARCH] Error: ${e.message}`);
-    }
-    
-    // LAYER 2: Twitter API search
-    try {
-      console.log(`[TWITTER-SEARCH] Researching ${topic.name}...`);
-      const query = `${topicName} -is:retweet`;
-      
-      const searchRes = await v2Client.get('tweets/search/recent', {
-        query: query,
-        'tweet.fields': 'public_metrics,created_at',
-        max_results: 5
-      });
-      
-      if (searchRes.data && searchRes.data.length > 0) {
-        const tweets = searchRes.data.slice(0, 3);
-        tweets.forEach((t, i) => {
-          research.push(`[TWITTER-${i + 1}] ${t.text.substring(0, 100)} (${t.public_metrics?.like_count || 0} likes)`);
-          sources++;
-        });
-        console.log(`[TWITTER-SEARCH] ✓ Got ${tweets.length} tweets`);
-      }
-    } catch (e) {
-      console.log(`[TWITTER-SEARCH] Error: ${e.message}`);
-    }
-    
-    if (research.length === 0) {
-      console.log(`[RESEARCH] No data found for ${topic.name}`);
-      return null;
-    }
-    
-    return {
-      topic: topic.name,
-      type: topic.type,
-      research: research.join('\n\n'),
-      sources: sources
-    };
-  } catch (e) {
-    console.log(`[RESEARCH] Failed for ${topic.name}: ${e.message}`);
-    return null;
-  }
+/**
+ * Research one topic through the research providers (src/research/) - web, tweets, market
+ * data, GitHub activity and the local knowledge base, merged and ranked.
+ * brave: false leaves web search out (research depth, see quota.js).
+ * Throws when the providers failed, so the research cache doesn't keep it
+ */
+async function deepResearchTopic(topic, v2Client, { brave = true, providers = defaultProviders() } = {}) {
+  return providers.research(topic, { v2Client, skip: brave ? [] : ['brave'] });
 }
 
-async function buildContextKnowledge(conversationThread, v2Client) {
+/**
+ * cache: research cache shared with stage 3 (research-cache.js) - topics researched
+ * for an earlier mention are reused instead of searched again.
+ * maxTopics / brave: research depth, cut back as the monthly read quota runs short (quota.js)
+ * includes / pageFetcher: stage 1's expansions and the page fetcher (pages.js) for
+ * quoted tweets, media and links
+ * providers: the research providers (research/index.js) - one set per pipeline
+ */
+async function buildContextKnowledge(conversationThread, v2Client, cache = null, { maxTopics = 8, brave = true, includes = null, pageFetcher = null, providers = defaultProviders() } = {}) {
   console.log(`[RESEARCH] Analyzing ${conversationThread.length} tweets in thread...`);
   
-  // Get topics
-  const topics = await identifyTopics(conversationThread);
-  console.log(`[RESEARCH] Identified ${topics.length} topics`);
+  // What the tweets quote, attach and link to
+  const linked = await buildLinkedContext(conversationThread, includes, { pageFetcher, cache });
+  const expansionOf = tweet => linked.find(e => e.tweetId === tweet.id);
+  
+  // Get topics - ranked, strongest first; @handles are resolved with the same client.
+  // Quoted tweets and link titles count as part of the tweet that carries them.
+  const topics = await identifyTopics(
+    conversationThread.map(t => ({ ...t, text: [t.text, expansionText(expansionOf(t))].filter(Boolean).join('\n') })),
+    v2Client
+  );
+  console.log(`[RESEARCH] Identified ${topics.length} topics: ${topics.slice(0, 5).map(t => `${t.name} (${t.type}, ${t.confidence})`).join(', ')}`);
   
-  // PRIORITIZE PROJECTS (@mentions) - research all of them
   const projects = topics.filter(t => t.type === 'project');
-  const concepts = topics.filter(t => t.type !== 'project');
+  const toResearch = topicsToResearch(topics);
   
-  console.log(`[RESEARCH] Found ${projects.length} projects to research`);
+  console.log(`[RESEARCH] Found ${toResearch.length} topics worth researching`);
   
   // Build summary of conversation
   const conversationSummary = conversationThread
-    .map(t => `- ${t.text}`)
+    .map(t => `- ${[t.text, describeExpansion(expansionOf(t))].filter(Boolean).join(' ')}`)
     .join('\n');
   
-  // Research all projects (critical for multi-project comparison)
+  // Research in rank order (tickers are stage 3's)
   const research = [];
-  const projectsToResearch = projects.length > 0 ? projects : topics;
   
-  // Use Twitter API for research (always available)
-  console.log(`[RESEARCH] Using Twitter API to research topics`);
-  for (const topic of projectsToResearch.slice(0, 8)) {
+  for (const topic of toResearch.slice(0, maxTopics)) {
     console.log(`[RESEARCH] Researching: ${topic.name} (${topic.type})`);
-    const result = await deepResearchTopic(topic, v2Client);
+    let result = null;
+    let hit = false;
+    try {
+      // Research without web search is cached apart from the full answer
+      ({ value: result, hit } = await fromCache(cache, 'topic', topic.name, () => deepResearchTopic(topic, v2Client, { brave, providers }), {
+        variant: brave ? null : 'no-brave'
+      }));
+    } catch (e) {
+      console.log(`[RESEARCH] Failed for ${topic.name}: ${e.message}`);
+    }
     if (result) {
       research.push(result);
-      console.log(`[RESEARCH] ✓ Got ${result.sources} tweets about ${topic.name}`);
+      console.log(`[RESEARCH] ✓ Got ${result.sources} findings about ${topic.name}${hit ? ' (cached)' : ''}`);
     }
-    // Rate limit
-    await new Promise(r => setTimeout(r, 500));
   }
   
   return {
@@ -186,6 +113,7 @@ async function buildContextKnowledge(conversationThread, v2Client) {
     topics,
     projects,
     research,
+    linked,
     threadLength: conversationThread.length
   };
 }
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * LINKED CONTEXT STAGE
+ * What a tweet points at, beyond its text:
+ * 1. Quote tweets (referenced_tweets: quoted) - the quoted tweet's text, from the expansion
+ * 2. Media (attachments.media_keys) - type and alt text
+ * 3. Links (entities.urls) - unwound URL, with the title/description Twitter's link card
+ *    provides; links without one go through the page fetcher (pages.js) for a summary
+ * Twitter's own links (quote permalinks, pic.twitter.com) are left out - 1 and 2 cover them.
+ */
+
+import { fromCache } from '../research-cache.js';
+
+const MAX_PAGES = 3; // linked pages fetched per mention
+const TWITTER_LINK = /^https?:\/\/((www|mobile)\.)?(twitter\.com|x\.com|pic\.twitter\.com|t\.co)\//i;
+
+/**
+ * The quotes, media and links one tweet carries.
+ * includes: { tweets, media } Maps from the stage 1 expansions (tweet id / media_key → object)
+ */
+function expandTweet(tweet, includes) {
+  const quotes = (tweet.referenced_tweets || [])
+    .filter(r => r.type === 'quoted')
+    .map(r => includes.tweets.get(r.id))
+    .filter(Boolean)
+    .map(q => ({ id: q.id, author_id: q.author_id, text: q.text }));
+
+  const media = (tweet.attachments?.media_keys || [])
+    .map(key => includes.media.get(key))
+    .filter(Boolean)
+    .map(m => ({ type: m.type, altText: m.alt_text || null }));
+
+  const links = (tweet.entities?.urls || [])
+    .map(u => ({
+      url: u.unwound_url || u.expanded_url || u.url,
+      title: u.title || null,
+      description: u.description || null
+    }))
+    .filter(l => l.url && !TWITTER_LINK.test(l.url));
+
+  return { tweetId: tweet.id, quotes, media, links };
+}
+
+/**
+ * Expand every tweet, then fetch summaries for links Twitter didn't describe (up to
+ * maxPages, most recent tweets first - the mention's own links matter most).
+ * cache: the research cache - a page summarized for an earlier mention is reused
+ */
+async function buildLinkedContext(tweets, includes, { pageFetcher = null, cache = null, maxPages = MAX_PAGES } = {}) {
+  const expansions = tweets.map(t => expandTweet(t, includes || { tweets: new Map(), media: new Map() }));
+
+  const undescribed = expansions
+    .slice()
+    .reverse()
+    .flatMap(e => e.links)
+    .filter(l => !l.description);
+  const seen = new Set();
+  let fetched = 0;
+
+  for (const link of undescribed) {
+    if (!pageFetcher || fetched >= maxPages) break;
+    if (seen.has(link.url)) continue;
+    seen.add(link.url);
+    fetched++;
+
+    let page = null;
+    let hit = false;
+    try {
+      ({ value: page, hit } = await fromCache(cache, 'page', link.url, () => pageFetcher.fetchPage(link.url)));
+    } catch {
+      // Logged by the page fetcher - the link goes without a summary this time
+    }
+    if (page) {
+      console.log(`[LINKS] ✓ ${link.url}: "${(page.title || '').substring(0, 60)}"${hit ? ' (cached)' : ''}`);
+      for (const same of undescribed.filter(l => l.url === link.url)) {
+        same.title ??= page.title;
+        same.description = page.description;
+        same.summary = page.summary;
+      }
+    }
+  }
+
+  const counts = expansions.reduce((sum, e) => ({
+    quotes: sum.quotes + e.quotes.length,
+    media: sum.media + e.media.length,
+    links: sum.links + e.links.length
+  }), { quotes: 0, media: 0, links: 0 });
+  if (counts.quotes + counts.media + counts.links > 0) {
+    console.log(`[LINKS] ${counts.quotes} quoted tweets, ${counts.media} media, ${counts.links} links (${fetched} pages fetched)`);
+  }
+
+  return expansions.filter(e => e.quotes.length + e.media.length + e.links.length > 0);
+}
+
+/**
+ * One tweet's expansion as inline text for the conversation summary
+ */
+function describeExpansion(expansion) {
+  if (!expansion) return '';
+  const parts = [
+    ...expansion.quotes.map(q => `[quoting: "${q.text.substring(0, 200)}"]`),
+    ...expansion.media.map(m => `[${m.type === 'photo' ? 'image' : m.type}${m.altText ? `: ${m.altText.substring(0, 150)}` : ''}]`),
+    ...expansion.links.map(l => {
+      const about = [l.title, l.summary || l.description].filter(Boolean).join(' - ');
+      return `[link ${l.url}${about ? `: ${about.substring(0, 250)}` : ''}]`;
+    })
+  ];
+  return parts.join(' ');
+}
+
+/**
+ * Quoted text and link titles, for topic extraction
+ */
+function expansionText(expansion) {
+  if (!expansion) return '';
+  return [
+    ...expansion.quotes.map(q => q.text),
+    ...expansion.links.map(l => [l.title, l.description].filter(Boolean).join('. '))
+  ].filter(Boolean).join('\n');
+}
+
+export { expandTweet, buildLinkedContext, describeExpansion, expansionText };
@@ -0,0 +1,369 @@
+#!/usr/bin/env node
+
+/**
+ * TOPIC EXTRACTION STAGE
+ * 1. Pull entities out of the thread: @handles, $tickers, known projects / people /
+ *    chains / technologies (config/entities.json) and unknown proper names
+ * 2. Drop stopwords and handles we never research (the bot itself)
+ * 3. Resolve @handles to display names with one user lookup, and tell people from projects
+ * 4. Weight each entity by where it appears (root, latest tweet) and how much engagement
+ *    those tweets got
+ * 5. Merge duplicates (@uniswap and "Uniswap" are one entity) and rank them, each with a
+ *    confidence score
+ */
+
+import path from 'path';
+import { CONFIG_DIR, watchedConfig } from '../config.js';
+
+const DEFAULT_ENTITY_FILE = path.join(CONFIG_DIR, 'entities.json');
+const MAX_HANDLE_LOOKUP = 100; // users/by takes up to 100 usernames
+const MAX_NAME_WORDS = 3;
+
+const ENTITY_TYPES = ['project', 'person', 'ticker', 'chain', 'technology'];
+
+// config/entities.json dictionary → entity type
+const DICTIONARIES = {
+  projects: 'project',
+  people: 'person',
+  chains: 'chain',
+  technologies: 'technology'
+};
+
+// How sure we are of an entity's type before repeat mentions raise it
+const CONFIDENCE = {
+  dictionary: 0.9,
+  ticker: 0.95,
+  handleUnresolved: 0.5,
+  handleVerifiedOrg: 0.85,
+  handleOrgName: 0.75,
+  handlePerson: 0.7,
+  handleOther: 0.6,
+  nameOrg: 0.6,
+  nameMixedCase: 0.5,
+  namePerson: 0.4,
+  nameSingle: 0.4
+};
+
+const ORG_WORDS = /\b(labs?|protocol|network|finance|foundation|dao|capital|ventures|exchange|chain|markets?|wallet|fi|ai|xyz|app|io|official|team|hq)\b/i;
+const PERSON_WORD = /^[A-Z][a-z'’-]+$/;
+const HANDLE_PATTERN = /@(\w{1,15})/g;
+const TICKER_PATTERN = /\$[A-Z][A-Z0-9]*/gi; // same shape stage 3 researches
+const URL_PATTERN = /https?:\/\/\S+/g;
+const NAME_PATTERN = /(?:\b[A-Z][\w'’-]*|\b[a-z]+[A-Z][\w'’-]*)(?:[ \t]+[A-Z][\w'’-]*)*/g;
+
+function validateEntityConfig(config) {
+  for (const key of Object.keys(DICTIONARIES)) {
+    for (const [name, aliases] of Object.entries(config[key] || {})) {
+      if (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string' || !a.trim())) {
+        throw new Error(`${key}.${name} must be a list of aliases`);
+      }
+    }
+  }
+  for (const key of ['stopwords', 'ignore_handles']) {
+    if (config[key] !== undefined && !(Array.isArray(config[key]) && config[key].every(w => typeof w === 'string'))) {
+      throw new Error(`${key} must be a list of strings`);
+    }
+  }
+  for (const [key, value] of Object.entries(config.weights || {})) {
+    if (!(Number.isFinite(value) && value >= 0)) throw new Error(`weights.${key} must be a number >= 0`);
+  }
+  const min = config.min_research_confidence;
+  if (min !== undefined && !(Number.isFinite(min) && min >= 0 && min <= 1)) {
+    throw new Error('min_research_confidence must be between 0 and 1');
+  }
+  return config;
+}
+
+function loadEntityConfig(file = process.env.ENTITY_CONFIG_FILE || DEFAULT_ENTITY_FILE) {
+  return watchedConfig(file, { label: 'ENTITIES', validate: validateEntityConfig });
+}
+
+let defaultConfig = null;
+
+function entityConfig() {
+  defaultConfig ??= loadEntityConfig();
+  return defaultConfig();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Lowercase aliases match any case; aliases written with capitals ("Optimism", "Sui")
+ * only match that spelling, so the everyday word doesn't count
+ */
+function aliasPattern(alias, { anyCase = false } = {}) {
+  const flags = anyCase || !/[A-Z]/.test(alias) ? 'gi' : 'g';
+  return new RegExp(`(?<![\\w@$])${escapeRegExp(alias)}(?!\\w)`, flags);
+}
+
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Compiled dictionaries, per loaded config
+const compiled = new WeakMap();
+
+function dictionaryEntries(config) {
+  if (!compiled.has(config)) {
+    const entries = [];
+    for (const [key, type] of Object.entries(DICTIONARIES)) {
+      for (const [name, aliases] of Object.entries(config[key] || {})) {
+        entries.push({
+          key: normalize(name),
+          name,
+          type,
+          confidence: CONFIDENCE.dictionary,
+          aliasKeys: new Set([name, ...aliases].map(normalize)),
+          aliases: [...new Set([name, ...aliases])]
+        });
+      }
+    }
+    compiled.set(config, entries);
+  }
+  return compiled.get(config);
+}
+
+/**
+ * One users/by call for every handle in the thread: handle (lowercase) → user.
+ * A failed lookup leaves handles unresolved rather than failing research.
+ */
+async function lookupHandles(handles, v2Client) {
+  const users = new Map();
+  if (!v2Client || handles.length === 0) return users;
+
+  try {
+    const res = await v2Client.get('users/by', {
+      usernames: handles.slice(0, MAX_HANDLE_LOOKUP).join(','),
+      'user.fields': 'name,description,verified_type'
+    });
+    for (const user of res.data || []) {
+      users.set(user.username.toLowerCase(), user);
+    }
+    console.log(`[TOPICS] Resolved ${users.size}/${handles.length} handles`);
+  } catch (e) {
+    console.log(`[TOPICS] Handle lookup failed: ${e.message}`);
+  }
+  return users;
+}
+
+/**
+ * Person or project, from the account behind a handle
+ */
+function classifyHandle(user) {
+  if (!user) return { type: 'project', confidence: CONFIDENCE.handleUnresolved };
+  if (['business', 'government'].includes(user.verified_type)) {
+    return { type: 'project', confidence: CONFIDENCE.handleVerifiedOrg };
+  }
+
+  const name = (user.name || '').trim();
+  if (ORG_WORDS.test(name) || /\d/.test(name)) return { type: 'project', confidence: CONFIDENCE.handleOrgName };
+
+  const words = name.split(/\s+/);
+  if (words.length >= 2 && words.length <= 3 && words.every(w => PERSON_WORD.test(w))) {
+    return { type: 'person', confidence: CONFIDENCE.handlePerson };
+  }
+  return { type: 'project', confidence: CONFIDENCE.handleOther };
+}
+
+/**
+ * Known entities for this thread: the config dictionaries, with each resolved handle
+ * either attached to the dictionary entry it names or added as its own entry
+ */
+function threadEntries(handles, users, config) {
+  const entries = dictionaryEntries(config).map(entry => ({ ...entry }));
+  const byHandle = new Map();
+
+  for (const handle of handles) {
+    const user = users.get(handle);
+    const displayName = user?.name?.trim() || null;
+    const keys = [handle, displayName].filter(Boolean).map(normalize);
+
+    let entry = entries.find(e => keys.some(k => e.aliasKeys.has(k)));
+    if (entry) {
+      entry.handle ??= user?.username || handle;
+      entry.displayName ??= displayName;
+      entry.handleAliases ??= [];
+    } else {
+      entry = {
+        key: handle,
+        name: user?.username || handle,
+        handle: user?.username || handle,
+        displayName,
+        ...classifyHandle(user),
+        aliasKeys: new Set(keys),
+        aliases: [],
+        handleAliases: []
+      };
+      entries.push(entry);
+    }
+    // Bare mentions of the handle or display name, in any case, count toward the same entity
+    entry.handleAliases.push(...[handle, displayName].filter(a => a && a.length >= 3));
+    byHandle.set(handle, entry);
+  }
+
+  // Longest aliases first, so "zk proofs" is taken before "zk"
+  const patterns = entries
+    .flatMap(entry => [
+      ...entry.aliases.map(alias => ({ entry, alias, pattern: aliasPattern(alias) })),
+      ...(entry.handleAliases || []).map(alias => ({ entry, alias, pattern: aliasPattern(alias, { anyCase: true }) }))
+    ])
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+  return { byHandle, patterns };
+}
+
+/**
+ * Position × engagement weight of one tweet
+ */
+function tweetWeight(tweet, index, count, weights) {
+  let position = 1;
+  if (index === 0) position = Math.max(position, weights.root ?? 1.5);
+  if (index === count - 1) position = Math.max(position, weights.mention ?? 1.5);
+
+  const m = tweet.public_metrics || {};
+  const engagement = (m.like_count || 0) + 2 * (m.retweet_count || 0) + (m.reply_count || 0) + (m.quote_count || 0);
+  return position * (1 + (weights.engagement ?? 0.5) * Math.log10(1 + engagement));
+}
+
+/**
+ * Blank out a match so later passes don't pick it up again
+ */
+function mask(text, index, length) {
+  return text.slice(0, index) + ' '.repeat(length) + text.slice(index + length);
+}
+
+function isSentenceStart(text, index) {
+  return /(^|[.!?:\n]\s*)$/.test(text.slice(0, index));
+}
+
+/**
+ * Unknown proper names left once handles, tickers and known entities are masked:
+ * stopwords trimmed, sentence-initial capitals ignored
+ */
+function properNames(text, stopwords) {
+  const names = [];
+  for (const match of text.matchAll(NAME_PATTERN)) {
+    let words = match[0].split(/\s+/).filter(Boolean);
+    let offset = 0;
+    while (words.length && stopwords.has(words[0].toLowerCase())) {
+      offset += 1;
+      words.shift();
+    }
+    while (words.length && stopwords.has(words[words.length - 1].toLowerCase())) words.pop();
+    words = words.slice(0, MAX_NAME_WORDS);
+    if (words.length === 0) continue;
+
+    const name = words.join(' ').replace(/['’]s$/, '');
+    const mixedCase = /[a-z][A-Z]|\d/.test(name);
+    if (name.length < 3) continue;
+    if (words.length === 1 && !mixedCase) {
+      // "Just shipped..." - capitalized because it starts the sentence
+      if (offset === 0 && isSentenceStart(text, match.index)) continue;
+      // LFG, ATH, CEO - short acronyms aren't worth researching
+      if (name === name.toUpperCase() && name.length <= 4) continue;
+    }
+
+    let type = 'project';
+    let confidence = CONFIDENCE.nameSingle;
+    if (words.length > 1 && ORG_WORDS.test(words[words.length - 1])) {
+      confidence = CONFIDENCE.nameOrg;
+    } else if (mixedCase) {
+      confidence = CONFIDENCE.nameMixedCase;
+    } else if (words.length > 1 && words.every(w => PERSON_WORD.test(w))) {
+      type = 'person';
+      confidence = CONFIDENCE.namePerson;
+    }
+    names.push({ key: normalize(name), name, type, confidence });
+  }
+  return names;
+}
+
+/**
+ * Repeat mentions close half the remaining gap to certainty
+ */
+function finalConfidence(base, mentions) {
+  return Math.min(0.99, base + (1 - base) * (1 - 1 / mentions) * 0.5);
+}
+
+const round = n => Number(n.toFixed(2));
+
+/**
+ * Ranked, deduplicated entities in a thread:
+ * [{ name, type, mentions, weight, confidence, handle?, displayName? }]
+ * v2Client: used to resolve @handles; without one, handles stay unresolved projects
+ */
+async function identifyTopics(conversationThread, v2Client = null, { config = entityConfig() } = {}) {
+  const tweets = (conversationThread || []).filter(t => t?.text);
+  if (tweets.length === 0) return [];
+
+  const stopwords = new Set((config.stopwords || []).map(w => w.toLowerCase()));
+  const ignored = new Set((config.ignore_handles || []).map(h => h.replace(/^@/, '').toLowerCase()));
+  const weights = config.weights || {};
+
+  const handles = [...new Set(tweets.flatMap(t => [...t.text.matchAll(HANDLE_PATTERN)].map(m => m[1].toLowerCase())))]
+    .filter(h => !ignored.has(h));
+  const users = await lookupHandles(handles, v2Client);
+  const { byHandle, patterns } = threadEntries(handles, users, config);
+
+  const found = new Map();
+  const add = (entity, weight) => {
+    const entry = found.get(entity.key) ?? found.set(entity.key, {
+      name: entity.name,
+      type: entity.type,
+      ...(entity.handle ? { handle: entity.handle, displayName: entity.displayName || null } : {}),
+      base: entity.confidence,
+      mentions: 0,
+      weight: 0
+    }).get(entity.key);
+    entry.mentions++;
+    entry.weight += weight;
+  };
+
+  tweets.forEach((tweet, index) => {
+    const weight = tweetWeight(tweet, index, tweets.length, weights);
+    let text = tweet.text.replace(URL_PATTERN, url => ' '.repeat(url.length));
+
+    for (const match of text.matchAll(HANDLE_PATTERN)) {
+      const entry = byHandle.get(match[1].toLowerCase());
+      if (entry) add(entry, weight);
+      text = mask(text, match.index, match[0].length);
+    }
+
+    for (const match of text.matchAll(TICKER_PATTERN)) {
+      const ticker = match[0].toUpperCase();
+      add({ key: ticker, name: ticker, type: 'ticker', confidence: CONFIDENCE.ticker }, weight);
+      text = mask(text, match.index, match[0].length);
+    }
+
+    for (const { entry, pattern } of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        add(entry, weight);
+        text = mask(text, match.index, match[0].length);
+      }
+    }
+
+    for (const name of properNames(text, stopwords)) {
+      add(name, weight);
+    }
+  });
+
+  return [...found.values()]
+    .map(({ base, ...entity }) => ({
+      ...entity,
+      weight: round(entity.weight),
+      confidence: round(finalConfidence(base, entity.mentions))
+    }))
+    .sort((a, b) => b.weight * b.confidence - a.weight * a.confidence);
+}
+
+/**
+ * Entities worth a research search - tickers are left to stage 3
+ */
+function topicsToResearch(topics, config = entityConfig()) {
+  const min = config.min_research_confidence ?? 0.5;
+  return topics.filter(t => t.type !== 'ticker' && t.confidence >= min);
+}
+
+export { ENTITY_TYPES, loadEntityConfig, identifyTopics, topicsToResearch };
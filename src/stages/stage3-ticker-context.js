@@ -7,6 +7,8 @@
  * Build project-specific knowledge
  */
 
+import { fromCache } from '../research-cache.js';
+
 function extractTickers(conversationText) {
   // Find all $SYMBOL mentions
   const tickerPattern = /\$[A-Z][A-Z0-9]*/gi;
@@ -24,6 +26,10 @@ function extractProjectMentions(conversationText) {
   return [...new Set(matches)];
 }
 
+/**
+ * What recent tweets say about a ticker, or null if nobody's talking about it.
+ * A failed search throws, so the research cache doesn't keep it
+ */
 async function researchTickerProject(ticker, v2Client) {
   try {
     // Search Twitter for recent discussion about this ticker
@@ -57,8 +63,30 @@ async function researchTickerProject(ticker, v2Client) {
     };
   } catch (e) {
     console.log(`[TICKER-RESEARCH] Error: ${e.message}`);
-    return null;
+    throw e;
+  }
+}
+
+/**
+ * Research tickers in turn. cache: research cache shared with stage 2
+ * (research-cache.js) - a ticker researched for an earlier mention isn't searched again
+ */
+async function researchTickers(tickers, v2Client, cache = null) {
+  const results = [];
+  for (const ticker of tickers) {
+    let result = null;
+    let hit = false;
+    try {
+      ({ value: result, hit } = await fromCache(cache, 'ticker', ticker, () => researchTickerProject(ticker, v2Client)));
+    } catch {
+      // Logged by researchTickerProject - the reply goes without this ticker
+    }
+    if (result) {
+      results.push(result);
+      console.log(`[TICKER-RESEARCH] ✓ ${ticker}: ${result.sentiment} sentiment (${result.tweets} tweets)${hit ? ' (cached)' : ''}`);
+    }
   }
+  return results;
 }
 
 function analyzeSentiment(tweets) {
@@ -83,4 +111,4 @@ function analyzeSentiment(tweets) {
   return 'neutral';
 }
 
-export { extractTickers, extractProjectMentions, researchTickerProject, analyzeSentiment };
+export { extractTickers, extractProjectMentions, researchTickerProject, researchTickers, analyzeSentiment };
@@ -0,0 +1,26 @@
+/**
+ * Storage backends
+ * DATABASE_URL=postgres://... uses Postgres; unset (or sqlite:<file>) uses SQLite
+ * at DB_PATH (default ./graisonbot.db).
+ *
+ * A store exposes the same small surface whichever backend is behind it:
+ * run / get / all / columns, tables(), transaction(fn) and close().
+ * Both must pass conformance.js.
+ */
+
+import path from 'path';
+import { createSqliteStore } from './sqlite.js';
+import { createPostgresStore } from './postgres.js';
+
+export async function openStore(url = process.env.DATABASE_URL) {
+  if (!url) {
+    return createSqliteStore(process.env.DB_PATH || path.join(process.cwd(), 'graisonbot.db'));
+  }
+  if (/^postgres(ql)?:\/\//i.test(url)) {
+    return createPostgresStore(url);
+  }
+  if (url.startsWith('sqlite:')) {
+    return createSqliteStore(url.slice('sqlite:'.length).replace(/^\/\//, '') || ':memory:');
+  }
+  throw new Error(`Unsupported DATABASE_URL scheme: ${url.split(':')[0]} (expected postgres:// or sqlite:)`);
+}
@@ -0,0 +1,95 @@
+/**
+ * Postgres storage backend (pg)
+ * State survives redeploys - point DATABASE_URL at a managed Postgres.
+ *
+ * db.js and migrations.js write SQLite-flavoured SQL; the differences are bridged here:
+ * - ? placeholders become $1, $2, ...
+ * - in CREATE/ALTER statements, id INTEGER PRIMARY KEY becomes SERIAL, REAL becomes
+ *   DOUBLE PRECISION, and CURRENT_TIMESTAMP text defaults keep SQLite's format
+ * - COUNT/SUM/AVG come back as numbers, not strings
+ */
+
+import pg from 'pg';
+
+const INT8 = 20;
+const NUMERIC = 1700;
+
+// Every count and sum kept here fits comfortably in a JS number
+const types = {
+  getTypeParser(oid, format) {
+    if (oid === INT8 || oid === NUMERIC) return Number;
+    return pg.types.getTypeParser(oid, format);
+  }
+};
+
+function toPostgres(sql) {
+  let n = 0;
+  const translated = sql.replace(/\?/g, () => `$${++n}`);
+  if (!/^\s*(CREATE|ALTER)\b/i.test(translated)) return translated;
+
+  return translated
+    .replace(/\bid INTEGER PRIMARY KEY\b/gi, 'id SERIAL PRIMARY KEY')
+    .replace(/\b(DATETIME|TIMESTAMP) DEFAULT CURRENT_TIMESTAMP\b/gi, "TEXT DEFAULT to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS')")
+    .replace(/\bREAL\b/gi, 'DOUBLE PRECISION');
+}
+
+/**
+ * client: the pool, or one checked-out client inside a transaction
+ */
+function bind(client) {
+  const query = (sql, params = []) => client.query(toPostgres(sql), params);
+
+  const run = async (sql, params) => ({ changes: (await query(sql, params)).rowCount });
+  const get = async (sql, params) => (await query(sql, params)).rows[0] || null;
+  const all = async (sql, params) => (await query(sql, params)).rows;
+
+  const columns = async (table) => (await all(
+    `SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ?`,
+    [table]
+  )).map(c => c.column_name);
+
+  return { run, get, all, columns };
+}
+
+// Keep the password out of logs
+function describe(url) {
+  const parsed = new URL(url);
+  return `${parsed.protocol}//${parsed.username ? `${parsed.username}@` : ''}${parsed.host}${parsed.pathname}`;
+}
+
+export async function createPostgresStore(url) {
+  const pool = new pg.Pool({ connectionString: url, types });
+  // Fail at startup, not on the first mention
+  await pool.query('SELECT 1');
+
+  const queries = bind(pool);
+  return {
+    backend: 'postgres',
+    location: describe(url),
+    ...queries,
+
+    async tables() {
+      const rows = await queries.all(`SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema()`);
+      return rows.map(r => r.table_name);
+    },
+
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn(bind(client));
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
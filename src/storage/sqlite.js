@@ -0,0 +1,68 @@
+/**
+ * SQLite storage backend (sqlite3)
+ * One connection to a local file (or :memory:) - fine for a single instance,
+ * but the file goes wherever the disk goes.
+ */
+
+import sqlite3 from 'sqlite3';
+
+function bind(db) {
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ changes: this.changes });
+    });
+  });
+
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row || null)));
+  });
+
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+
+  const columns = async (table) => (await all(`PRAGMA table_info(${table})`)).map(c => c.name);
+
+  return { run, get, all, columns };
+}
+
+export function createSqliteStore(file) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, (err) => {
+      if (err) return reject(err);
+
+      const queries = bind(db);
+      resolve({
+        backend: 'sqlite',
+        location: file,
+        ...queries,
+
+        async tables() {
+          const rows = await queries.all(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`);
+          return rows.map(r => r.name);
+        },
+
+        /**
+         * There's only the one connection, so anything issued while fn runs joins the
+         * transaction - only migrations use this, before anything else starts
+         */
+        async transaction(fn) {
+          await queries.run('BEGIN');
+          try {
+            const result = await fn(queries);
+            await queries.run('COMMIT');
+            return result;
+          } catch (error) {
+            await queries.run('ROLLBACK');
+            throw error;
+          }
+        },
+
+        close() {
+          return new Promise((done, fail) => db.close(e => (e ? fail(e) : done())));
+        }
+      });
+    });
+  });
+}
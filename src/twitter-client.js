@@ -0,0 +1,214 @@
+/**
+ * Rate-limited Twitter Client
+ * One wrapper around the twitter-api-v2 v2 client (get / post / me) shared by the whole
+ * app, so every caller works from the same per-endpoint budgets:
+ * - each response's x-rate-limit-limit / -remaining / -reset headers update the budget
+ *   for its endpoint (ids collapsed, e.g. "GET tweets/:id")
+ * - when a budget runs low, calls are spread over what's left of the window; once it's
+ *   spent they wait for the reset - up to TWITTER_MAX_WAIT_MS (default 60s), beyond that
+ *   they fail straight away with a rate-limit error instead of calling Twitter
+ * - calls waiting on a budget go out by priority: posting > reading > research, and
+ *   research never spends the last TWITTER_RESEARCH_RESERVE (default 20%) of a budget
+ *
+ * POSTs run as 'post' and GETs as 'read'. forCallSite() gives a view labelled with the
+ * call site (and optionally a priority); with a quota ledger (quota.js), tweets read and
+ * written are counted against that label.
+ */
+
+const MAX_WAIT = parseInt(process.env.TWITTER_MAX_WAIT_MS || '60000', 10);
+const RESEARCH_RESERVE = parseFloat(process.env.TWITTER_RESEARCH_RESERVE || '0.2');
+const LOW_WATERMARK = 0.25; // below this share of the budget, calls are paced
+const DEFAULT_WINDOW = 15 * 60 * 1000; // Twitter's window when a 429 carries no reset header
+
+const PRIORITIES = { post: 0, read: 1, research: 2 };
+
+/**
+ * Rate-limited by Twitter (a 429) or held back here because the budget is spent
+ */
+export function isRateLimitError(error) {
+  return error?.code === 429 || error?.rateLimitError === true;
+}
+
+function rateLimited(endpoint, resetAt) {
+  return Object.assign(
+    new Error(`Rate limit for ${endpoint} spent until ${new Date(resetAt).toISOString()}`),
+    { code: 429, rateLimitError: true, endpoint, resetAt }
+  );
+}
+
+/**
+ * "GET tweets/1790000000000000000/quote_tweets" → "GET tweets/:id/quote_tweets"
+ */
+export function endpointKey(method, path) {
+  return `${method.toUpperCase()} ${path.replace(/^\/+/, '').replace(/\/\d+(?=\/|$)/g, '/:id')}`;
+}
+
+/**
+ * Label a client's calls with their call site (and priority). Plain clients - test
+ * doubles, replay fixtures - are returned as they are.
+ */
+export function forCallSite(client, site, priority = null) {
+  if (typeof client?.scope !== 'function') return client;
+  return client.scope(priority ? { site, priority } : { site });
+}
+
+export function createTwitterClient(v2, { maxWaitMs = MAX_WAIT, researchReserve = RESEARCH_RESERVE, quota = null } = {}) {
+  const budgets = new Map();
+  const pending = [];
+  let seq = 0;
+  let timer = null;
+
+  function budgetFor(endpoint) {
+    if (!budgets.has(endpoint)) {
+      budgets.set(endpoint, {
+        endpoint, limit: null, remaining: null, resetAt: null,
+        inFlight: 0, lastCallAt: 0, calls: 0, delayed: 0, rejected: 0
+      });
+    }
+    return budgets.get(endpoint);
+  }
+
+  function updateBudget(budget, headers = {}) {
+    const remaining = parseInt(headers['x-rate-limit-remaining'], 10);
+    const reset = parseInt(headers['x-rate-limit-reset'], 10);
+    if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+
+    // Responses can land out of order - within one window the lowest count is current
+    const resetAt = reset * 1000;
+    budget.remaining = resetAt === budget.resetAt ? Math.min(budget.remaining, remaining) : remaining;
+    budget.resetAt = resetAt;
+    budget.limit = parseInt(headers['x-rate-limit-limit'], 10) || Math.max(budget.limit || 0, remaining);
+  }
+
+  /**
+   * When a call at this priority may go out (a timestamp, now if it can go immediately)
+   */
+  function readyAt(budget, priority, now) {
+    if (budget.remaining === null || now >= budget.resetAt) return now;
+
+    const reserve = priority === 'research' ? Math.ceil(budget.limit * researchReserve) : 0;
+    const available = budget.remaining - budget.inFlight - reserve;
+    if (available <= 0) return budget.resetAt;
+
+    if (priority !== 'post' && budget.remaining <= budget.limit * LOW_WATERMARK) {
+      return Math.max(now, budget.lastCallAt + (budget.resetAt - now) / available);
+    }
+    return now;
+  }
+
+  /**
+   * Start every call that may go now, highest priority first. A call that has to wait
+   * holds back lower-priority calls on the same endpoint.
+   */
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+
+    const now = Date.now();
+    const held = new Set();
+    let next = Infinity;
+
+    pending.sort((a, b) => PRIORITIES[a.priority] - PRIORITIES[b.priority] || a.seq - b.seq);
+    for (const call of [...pending]) {
+      if (held.has(call.budget.endpoint)) continue;
+
+      const at = readyAt(call.budget, call.priority, now);
+      if (at > now) {
+        held.add(call.budget.endpoint);
+        next = Math.min(next, at);
+        continue;
+      }
+
+      pending.splice(pending.indexOf(call), 1);
+      call.budget.inFlight++;
+      call.budget.calls++;
+      call.budget.lastCallAt = now;
+      call.start();
+    }
+
+    if (pending.length > 0 && next < Infinity) {
+      timer = setTimeout(pump, next - now);
+    }
+  }
+
+  async function send(budget, site, request) {
+    try {
+      const response = await request();
+      // fullResponse gives { data, headers }; test doubles return the body itself
+      if (response?.headers) updateBudget(budget, response.headers);
+      const body = response?.headers ? response.data : response;
+      quota?.record(site || budget.endpoint, budget.endpoint, body);
+      return body;
+    } catch (error) {
+      updateBudget(budget, error.headers);
+      if (error.code === 429 && !error.headers?.['x-rate-limit-reset']) {
+        budget.remaining = 0;
+        budget.resetAt = Date.now() + DEFAULT_WINDOW;
+      }
+      throw error;
+    } finally {
+      budget.inFlight--;
+      pump();
+    }
+  }
+
+  function schedule(method, path, { priority, site }, request) {
+    const budget = budgetFor(endpointKey(method, path));
+    const now = Date.now();
+    const at = readyAt(budget, priority, now);
+
+    if (at - now > maxWaitMs) {
+      budget.rejected++;
+      return Promise.reject(rateLimited(budget.endpoint, budget.resetAt));
+    }
+    if (at > now) budget.delayed++;
+
+    return new Promise((resolve, reject) => {
+      pending.push({ budget, priority, seq: seq++, start: () => send(budget, site, request).then(resolve, reject) });
+      pump();
+    });
+  }
+
+  /**
+   * Per-endpoint budgets as last reported by Twitter, plus what we've done with them
+   */
+  function status() {
+    const now = Date.now();
+    return Object.fromEntries([...budgets.values()].map(b => {
+      const expired = b.resetAt !== null && now >= b.resetAt;
+      return [b.endpoint, {
+        limit: b.limit,
+        remaining: expired ? b.limit : b.remaining,
+        reset_at: b.resetAt && !expired ? new Date(b.resetAt).toISOString() : null,
+        in_flight: b.inFlight,
+        waiting: pending.filter(c => c.budget === b).length,
+        calls: b.calls,
+        delayed: b.delayed,
+        rejected: b.rejected
+      }];
+    }));
+  }
+
+  function view(scope = {}) {
+    const as = fallback => ({ priority: scope.priority || fallback, site: scope.site });
+    return {
+      get: (path, params, options = {}) => schedule('GET', path, as('read'),
+        () => v2.get(path, params, { ...options, fullResponse: true })),
+
+      post: (path, body, options = {}) => schedule('POST', path, as('post'),
+        () => v2.post(path, body, { ...options, fullResponse: true })),
+
+      me: (params) => schedule('GET', 'users/me', as('read'),
+        () => v2.get('users/me', params, { fullResponse: true })),
+
+      scope({ site = scope.site, priority = scope.priority } = {}) {
+        if (priority && !PRIORITIES.hasOwnProperty(priority)) throw new Error(`Unknown priority "${priority}"`);
+        return view({ site, priority });
+      },
+
+      budgets: status
+    };
+  }
+
+  return view();
+}
@@ -0,0 +1,132 @@
+/**
+ * Account Activity Webhook
+ * CRC challenge-response, signature validation and tweet_create_events parsing
+ * for the /webhooks/twitter route that register-webhook.js points Twitter at
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { logger } from './logger.js';
+
+/**
+ * HMAC-SHA256 of a payload with the consumer secret, as Twitter formats it
+ */
+function sign(payload, consumerSecret) {
+  return 'sha256=' + crypto
+    .createHmac('sha256', consumerSecret)
+    .update(payload)
+    .digest('base64');
+}
+
+/**
+ * Answer Twitter's GET CRC check
+ */
+export function createCrcResponse(crcToken, consumerSecret) {
+  return sign(crcToken, consumerSecret);
+}
+
+/**
+ * Check the x-twitter-webhooks-signature header against the raw request body
+ */
+export function isValidSignature(rawBody, signature, consumerSecret) {
+  if (!rawBody || !signature) return false;
+
+  const expected = Buffer.from(sign(rawBody, consumerSecret));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * express.json() verify hook - keeps the exact bytes Twitter signed
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Convert v1.1 tweet_create_events into the v2 tweet/author shape handleMention expects.
+ * Skips our own tweets, retweets, and tweets that don't mention or reply to us.
+ */
+export function parseTweetCreateEvents(payload) {
+  const events = payload?.tweet_create_events || [];
+  const botUserId = payload?.for_user_id;
+  const mentions = [];
+
+  for (const event of events) {
+    if (!event?.user || event.retweeted_status) continue;
+    if (botUserId && event.user.id_str === botUserId) continue;
+
+    if (botUserId) {
+      const mentionedIds = (event.entities?.user_mentions || []).map(m => m.id_str);
+      const mentionsBot = mentionedIds.includes(botUserId) || event.in_reply_to_user_id_str === botUserId;
+      if (!mentionsBot) continue;
+    }
+
+    mentions.push({
+      tweet: {
+        id: event.id_str,
+        text: event.extended_tweet?.full_text || event.text || '',
+        author_id: event.user.id_str,
+        conversation_id: event.conversation_id_str,
+        in_reply_to_user_id: event.in_reply_to_user_id_str || undefined,
+        referenced_tweets: event.in_reply_to_status_id_str
+          ? [{ type: 'replied_to', id: event.in_reply_to_status_id_str }]
+          : undefined,
+        created_at: event.created_at ? new Date(event.created_at).toISOString() : undefined
+      },
+      author: {
+        id: event.user.id_str,
+        username: event.user.screen_name,
+        name: event.user.name,
+        verified: !!event.user.verified,
+        created_at: event.user.created_at ? new Date(event.user.created_at).toISOString() : undefined,
+        public_metrics: event.user.followers_count !== undefined
+          ? { followers_count: event.user.followers_count, following_count: event.user.friends_count }
+          : undefined
+      }
+    });
+  }
+
+  return mentions;
+}
+
+/**
+ * Router for GET/POST /webhooks/twitter.
+ * The app must parse JSON with captureRawBody so signatures can be checked.
+ */
+export function createWebhookRouter({ consumerSecret, onMention }) {
+  const router = express.Router();
+
+  router.get('/webhooks/twitter', (req, res) => {
+    const crcToken = req.query.crc_token;
+    if (!crcToken) {
+      return res.status(400).json({ error: 'Missing crc_token' });
+    }
+    if (!consumerSecret) {
+      logger.error('CRC check failed: TWITTER_API_SECRET not set');
+      return res.status(500).json({ error: 'Webhook not configured' });
+    }
+
+    res.status(200).json({ response_token: createCrcResponse(crcToken, consumerSecret) });
+  });
+
+  router.post('/webhooks/twitter', (req, res) => {
+    const signature = req.get('x-twitter-webhooks-signature');
+    if (!consumerSecret || !isValidSignature(req.rawBody, signature, consumerSecret)) {
+      logger.warn('Rejected webhook event with invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    // Acknowledge immediately - Twitter retries deliveries that take too long
+    res.status(200).end();
+
+    for (const { tweet, author } of parseTweetCreateEvents(req.body)) {
+      Promise.resolve(onMention(tweet, author)).catch(error => {
+        logger.error('Failed to process webhook tweet', { error: error.message });
+      });
+    }
+  });
+
+  return router;
+}
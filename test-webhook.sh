@@ -1,31 +1,55 @@
 #!/bin/bash
 
 # Test webhook locally
-# Usage: ./test-webhook.sh
+# Usage: TWITTER_API_SECRET=... ./test-webhook.sh
 
 echo "Testing webhook..."
 echo ""
 
+if [ -z "$TWITTER_API_SECRET" ] && [ -f .env ]; then
+  TWITTER_API_SECRET=$(grep '^TWITTER_API_SECRET=' .env | cut -d '=' -f2-)
+fi
+
+if [ -z "$TWITTER_API_SECRET" ]; then
+  echo "❌ TWITTER_API_SECRET not set (needed to sign the test event)"
+  exit 1
+fi
+
+# CRC challenge
+echo "CRC challenge:"
+curl -s "http://localhost:3000/webhooks/twitter?crc_token=test_crc_token"
+echo ""
+echo ""
+
 # Simulate a mention from verified account
+PAYLOAD='{
+  "for_user_id": "graisonbot_user_id",
+  "tweet_create_events": [{
+    "id_str": "test_tweet_12345",
+    "text": "@graisonbot what do you think about decentralized AI agents? 🤔",
+    "user": {
+      "id_str": "verified_user_001",
+      "screen_name": "crypto_researcher",
+      "verified": true,
+      "followers_count": 50000
+    },
+    "entities": {
+      "user_mentions": [{ "id_str": "graisonbot_user_id", "screen_name": "graisonbot" }]
+    },
+    "created_at": "Mon Feb 15 07:45:00 +0000 2026"
+  }]
+}'
+
+# Sign the body the same way Twitter does (HMAC-SHA256 with the consumer secret)
+SIGNATURE="sha256=$(printf '%s' "$PAYLOAD" | openssl dgst -sha256 -hmac "$TWITTER_API_SECRET" -binary | base64)"
+
 curl -X POST http://localhost:3000/webhooks/twitter \
   -H "Content-Type: application/json" \
-  -d '{
-    "tweet_create_events": [{
-      "id_str": "test_tweet_12345",
-      "text": "@graisonbot what do you think about decentralized AI agents? 🤔",
-      "user": {
-        "id_str": "verified_user_001",
-        "screen_name": "crypto_researcher",
-        "verified": true,
-        "followers_count": 50000
-      },
-      "created_at": "Mon Feb 15 07:45:00 +0000 2026"
-    }]
-  }'
+  -H "x-twitter-webhooks-signature: $SIGNATURE" \
+  -d "$PAYLOAD"
 
 echo ""
 echo "✅ Test mention sent!"
 echo ""
 echo "Check response:"
 echo "  curl http://localhost:3000/stats"
-echo "  curl http://localhost:3000/api/replies?hours=1"